@@ -0,0 +1,277 @@
+import BN from "bn.js";
+import { existsSync, readFileSync, writeFileSync } from "fs";
+import { formatAmount } from "./format.js";
+
+// Bump whenever the layout of the alert state file changes, older files are ignored
+const ALERT_STATE_VERSION = 2;
+// Time a sink gets to accept an alert before it counts as failed
+const SEND_TIMEOUT = 10000;
+
+// Titles of the alert reasons, shown in the Slack messages
+export const ALERT_REASONS = {
+  "sla-missed": "SLA missed",
+  "zero-reward": "Zero reward",
+  "reward-deviation": "Reward deviation",
+  "analysis-error": "Analysis error",
+};
+
+/// Helper to identify an alert, each (period, group, address, reason) alerts once per sink.
+/// Alerts of a whole group have no address
+function alertKey({ period, group, address, reason }) {
+  return `${period}:${group}:${address ?? "*"}:${reason}`;
+}
+
+/// Detect the alerts of one analysis result, `trailingRewards` are the total rewards of earlier periods
+export function detectAlerts(result, trailingRewards = [], options = {}) {
+  const { deviationPercent = 50, precision } = options;
+  const amounts = { token: result.token, precision, withSymbol: true };
+  const base = {
+    period: result.periodIndex,
+    group: result.groupNamespace,
+    address: result.address ?? null,
+  };
+
+  if (result.error) {
+    return [
+      {
+        ...base,
+        reason: "analysis-error",
+        message: `Analysis of ${
+          result.address ?? `group ${result.groupNamespace}`
+        } for period ${result.periodIndex} failed: ${result.error}`,
+        details: { error: result.error },
+      },
+    ];
+  }
+
+  const alerts = [];
+  const total = result.periodRewards[0].add(result.periodRewards[1]);
+
+  if (result.meetsSla === false) {
+    alerts.push({
+      ...base,
+      reason: "sla-missed",
+      message: `${result.address} missed the SLA of group ${
+        result.groupNamespace
+      } in period ${result.periodIndex}: vote ratio ${result.voteRatio.toFixed(
+        2
+      )}% is below ${result.slaPercentage}`,
+      details: {
+        voteRatio: result.voteRatio,
+        slaThreshold: result.slaPercentage,
+        eligibleRounds: result.eligibleRounds,
+        correctVotes: result.votes,
+      },
+    });
+  }
+
+  if (total.isZero()) {
+    alerts.push({
+      ...base,
+      reason: "zero-reward",
+      message: `${result.address} earned no rewards in group ${result.groupNamespace} in period ${result.periodIndex} while subscribed`,
+      details: { stake: result.stake.toString() },
+    });
+  } else if (trailingRewards.length > 0) {
+    // Zero rewards are alerted on their own, so only non-zero rewards are compared
+    const average = trailingRewards
+      .reduce((sum, rewards) => sum.add(rewards), new BN(0))
+      .divn(trailingRewards.length);
+
+    if (!average.isZero()) {
+      // The ratio to a tiny average can exceed the safe integers of toNumber()
+      const deviation =
+        Number(total.sub(average).muln(10000).div(average).toString()) / 100;
+      if (Math.abs(deviation) > deviationPercent) {
+        alerts.push({
+          ...base,
+          reason: "reward-deviation",
+          message: `${result.address} earned ${formatAmount(
+            total,
+            amounts
+          )} in period ${result.periodIndex}, ${Math.abs(deviation).toFixed(
+            2
+          )}% ${
+            deviation < 0 ? "below" : "above"
+          } its average of ${formatAmount(average, amounts)} over the ${
+            trailingRewards.length
+          } earlier periods`,
+          details: {
+            total: total.toString(),
+            trailingAverage: average.toString(),
+            trailingPeriods: trailingRewards.length,
+            deviationPercent: deviation,
+          },
+        });
+      }
+    }
+  }
+
+  return alerts;
+}
+
+/// Open the alert state, which remembers the sent alerts and the recent rewards of every address
+export function openAlertState(path) {
+  let data = { version: ALERT_STATE_VERSION, sent: {}, rewards: {} };
+
+  if (path && existsSync(path)) {
+    try {
+      const stored = JSON.parse(readFileSync(path, "utf8"));
+      if (stored.version === ALERT_STATE_VERSION) {
+        data = stored;
+      } else {
+        console.log(
+          `⚠️  Ignoring alert state ${path} with unsupported version ${stored.version}`
+        );
+      }
+    } catch (error) {
+      console.log(
+        `⚠️  Ignoring unreadable alert state ${path}: ${error.message}`
+      );
+    }
+  }
+
+  return {
+    path,
+    isSent(sinkName, alert) {
+      return Boolean(data.sent[sinkName]?.[alertKey(alert)]);
+    },
+    markSent(sinkName, alert) {
+      data.sent[sinkName] ??= {};
+      data.sent[sinkName][alertKey(alert)] = new Date().toISOString();
+    },
+    /// Total rewards of the address in up to `count` periods before the given one
+    getTrailingRewards(group, address, periodIndex, count) {
+      const periods = data.rewards[group]?.[address] ?? {};
+      return Object.keys(periods)
+        .map(Number)
+        .filter((period) => period < periodIndex)
+        .sort((a, b) => b - a)
+        .slice(0, count)
+        .map((period) => new BN(periods[period]));
+    },
+    /// Remember the total rewards of an address, keeping the `keep` most recent periods
+    recordRewards(group, address, periodIndex, total, keep) {
+      data.rewards[group] ??= {};
+      const periods = (data.rewards[group][address] ??= {});
+      periods[periodIndex] = total.toString();
+
+      for (const period of Object.keys(periods)
+        .map(Number)
+        .sort((a, b) => b - a)
+        .slice(keep)) {
+        delete periods[period];
+      }
+    },
+    save() {
+      if (!path) return;
+      try {
+        writeFileSync(path, JSON.stringify(data, null, 2));
+      } catch (error) {
+        console.log(
+          `⚠️  Failed to write alert state ${path}: ${error.message}`
+        );
+      }
+    },
+  };
+}
+
+/// Helper to POST a JSON payload, failing on any status other than 2xx
+async function postJson(url, payload) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(SEND_TIMEOUT),
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+}
+
+/// Sink posting every alert as a JSON document to a generic webhook
+export function createWebhookSink(url) {
+  return {
+    name: "webhook",
+    send: (alert) => postJson(url, alert),
+  };
+}
+
+/// Sink posting every alert as a message to a Slack incoming webhook
+export function createSlackSink(url) {
+  return {
+    name: "slack",
+    send: (alert) =>
+      postJson(url, {
+        text: `🚨 *${ALERT_REASONS[alert.reason]}* - period ${
+          alert.period
+        }, group ${alert.group}\n${alert.message}`,
+      }),
+  };
+}
+
+/// Detect the alerts of a run's results and send the ones not sent before to every sink
+export async function processAlerts(
+  results,
+  { sinks, state, deviationPercent = 50, trailingPeriods = 5, precision }
+) {
+  const alerts = [];
+
+  // Earlier periods of a range become the trailing rewards of the later ones
+  const ordered = [...results].sort((a, b) => a.periodIndex - b.periodIndex);
+  for (const result of ordered) {
+    const trailingRewards = result.error
+      ? []
+      : state.getTrailingRewards(
+          result.groupNamespace,
+          result.address,
+          result.periodIndex,
+          trailingPeriods
+        );
+    alerts.push(
+      ...detectAlerts(result, trailingRewards, { deviationPercent, precision })
+    );
+
+    if (!result.error) {
+      state.recordRewards(
+        result.groupNamespace,
+        result.address,
+        result.periodIndex,
+        result.periodRewards[0].add(result.periodRewards[1]),
+        trailingPeriods
+      );
+    }
+  }
+
+  let sent = 0;
+  let failed = 0;
+  for (const alert of alerts) {
+    for (const sink of sinks) {
+      if (state.isSent(sink.name, alert)) continue;
+
+      // A failed alert isn't remembered, so the next run sends it again
+      try {
+        await sink.send(alert);
+        state.markSent(sink.name, alert);
+        sent++;
+      } catch (error) {
+        failed++;
+        console.log(
+          `❌ Failed to send ${alert.reason} alert for ${
+            alert.address ?? alert.group
+          } to ${sink.name}: ${error.message}`
+        );
+      }
+    }
+  }
+
+  state.save();
+  if (alerts.length > 0) {
+    console.log(
+      `🚨 ${alerts.length} alerts detected, ${sent} sent, ${failed} failed`
+    );
+  }
+  return { alerts, sent, failed };
+}
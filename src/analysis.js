@@ -0,0 +1,2043 @@
+import BN from "bn.js";
+import { serializeResult } from "./json.js";
+import { BN_CODEC, REWARDS_CODEC, cached } from "./cache.js";
+import { getChainToken } from "./format.js";
+import { getActivePeriod, resolvePeriod } from "./periods.js";
+import { formatPrice, valueRewards } from "./prices.js";
+
+/// Helper to read the stake record of an address, returns its updates sorted by period or null
+export async function getStakeRecord(api, groupNs, address, blockHash) {
+  // Query the SolutionGroupStakeRecords storage item
+  // StorageDoubleMap: (SolutionGroupNamespace, AccountId) -> StakeRecord
+  const stakeRecord =
+    await api.query.workerNodePallet.solutionGroupStakeRecords.at(
+      blockHash,
+      groupNs,
+      address
+    );
+
+  if (stakeRecord.isNone) {
+    return null;
+  }
+
+  return parseStakeRecord(stakeRecord);
+}
+
+/// Helper to parse a human-readable balance, either hex or a comma separated decimal
+function parseBalance(value) {
+  return typeof value === "string" && value.startsWith("0x")
+    ? new BN(value.slice(2), 16)
+    : new BN(value.toString().replace(/,/g, "")); // Remove commas and parse
+}
+
+/// Helper to decode a stake record into its updates sorted by period
+function parseStakeRecord(stakeRecord) {
+  // The StakeRecord is a BoundedBTreeMap<RewardPeriodIndex, Stake>
+  // Each key is the period of a stake update, and the value is the stake amount
+  // that applies to all periods from that update onwards
+  const updates = [];
+  const stakeRecordHuman = stakeRecord.unwrap().toHuman();
+
+  if (stakeRecordHuman && typeof stakeRecordHuman === "object") {
+    for (const [period, stake] of Object.entries(stakeRecordHuman)) {
+      updates.push({
+        period: parseInt(period.replace(/,/g, "")),
+        stake: parseBalance(stake),
+      });
+    }
+  }
+
+  return updates.sort((a, b) => a.period - b.period);
+}
+
+/// Find the stake that applied to a period, reading the record at older blocks when it was updated since
+export async function getStakeForPeriod(api, periodIndex, groupNs, address) {
+  // Older records are read until one still holds the update that applied, or there is no record
+  // at all, which is before the first stake of the address
+  for (let readPeriod = periodIndex; readPeriod >= 0; readPeriod--) {
+    // Read the stake record at the start of the period
+    const { firstBlock } = await resolvePeriod(api, readPeriod);
+    const blockHash = await api.rpc.chain.getBlockHash(firstBlock);
+
+    console.log(
+      `   Querying stake record at block ${firstBlock} (${blockHash})`
+    );
+
+    const updates = await getStakeRecord(api, groupNs, address, blockHash);
+    if (!updates) {
+      // Without a record at this block, there was no stake at or before the period
+      return null;
+    }
+
+    // The latest update at or before the period is the stake that applied to it
+    const applied = updates.filter(({ period }) => period <= periodIndex).pop();
+    if (applied) {
+      const { period: updatePeriod, stake } = applied;
+      console.log(
+        `   Stake update of period ${updatePeriod} applies to period ${periodIndex}, stake: ${stake.toString()}`
+      );
+      return { stake, updatePeriod, updates };
+    }
+
+    console.log(
+      `   Every stake update in the record is later than period ${periodIndex}, reading an older record`
+    );
+  }
+
+  throw new Error(
+    `No stake record of ${address} holds an update at or before period ${periodIndex}`
+  );
+}
+
+/// Validation that the address was subscribed to the group, returns the stake
+export async function validateSubscription(api, periodIndex, groupNs, address) {
+  // Check if address was subscribed for periodIndex to groupNs
+  console.log("🔍 Checking subscription status...");
+
+  try {
+    const applied = await getStakeForPeriod(api, periodIndex, groupNs, address);
+
+    if (!applied || applied.stake.isZero()) {
+      throw new Error(
+        `Address ${address} was not subscribed to group ${groupNs} in period ${periodIndex}` +
+          (applied ? ` (stake: ${applied.stake.toString()})` : "")
+      );
+    }
+
+    console.log(
+      `   ✅ Address was subscribed with stake: ${applied.stake.toString()}`
+    );
+    return applied.stake;
+  } catch (error) {
+    if (error.message.includes("was not subscribed")) {
+      throw error; // Re-throw subscription validation errors
+    }
+    throw new Error(`Failed to validate subscription: ${error.message}`);
+  }
+}
+
+/// Collect the stake updates, subscription spans and eligible periods of an address
+export async function getStakeHistory(
+  api,
+  groupNs,
+  address,
+  fromPeriod,
+  toPeriod
+) {
+  try {
+    const updates = new Map();
+    const periods = [];
+    let firstRecord = null;
+
+    for (let periodIndex = fromPeriod; periodIndex <= toPeriod; periodIndex++) {
+      const applied = await getStakeForPeriod(
+        api,
+        periodIndex,
+        groupNs,
+        address
+      );
+
+      for (const update of applied?.updates ?? []) {
+        updates.set(update.period, update.stake);
+      }
+      if (periodIndex === fromPeriod) {
+        firstRecord = applied?.updates ?? null;
+      }
+
+      periods.push({
+        periodIndex,
+        stake: applied?.stake ?? new BN(0),
+        updatePeriod: applied?.updatePeriod ?? null,
+        eligible: applied !== null && !applied.stake.isZero(),
+      });
+    }
+
+    // Consecutive eligible periods form one subscription, which ends with the first
+    // period without stake. `to` is its last period, null while it continues
+    const subscriptions = [];
+    let current = null;
+    for (const period of periods) {
+      if (period.eligible && !current) {
+        current = { from: period.periodIndex, to: null };
+        subscriptions.push(current);
+      } else if (!period.eligible && current) {
+        current.to = period.periodIndex - 1;
+        current = null;
+      }
+    }
+
+    // A subscription running at the start of the range began before it, at the first
+    // stake update with stake after the last one without, or at the record's first update
+    const first = subscriptions[0];
+    if (first?.from === fromPeriod && firstRecord) {
+      let began = null;
+      for (const { period, stake } of firstRecord) {
+        if (period > fromPeriod) break;
+        began = stake.isZero() ? null : began ?? period;
+      }
+      if (began !== null) first.from = began;
+    }
+
+    return {
+      groupNamespace: groupNs,
+      address,
+      fromPeriod,
+      toPeriod,
+      token: getChainToken(api),
+      updates: [...updates.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([period, stake]) => ({ period, stake })),
+      subscriptions,
+      periods,
+    };
+  } catch (error) {
+    throw new Error(
+      `Failed to build stake history of ${address}: ${error.message}`
+    );
+  }
+}
+
+/// Helper to check whether a block emitted RewardsCalculatedForPeriod for the period
+export async function hasRewardsCalculatedEvent(api, blockHash, periodIndex) {
+  const events = await api.query.system.events.at(blockHash);
+
+  for (const { event } of events) {
+    if (
+      event.section === "workerNodePallet" &&
+      event.method === "RewardsCalculatedForPeriod" &&
+      event.data[0].toNumber() === periodIndex
+    ) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/// Helper to verify a candidate block against the actual RewardsCalculatedForPeriod event
+export async function verifyRewardsBlock(api, blockHash, periodIndex) {
+  console.log("Verifying RewardsCalculatedForPeriod event...");
+
+  try {
+    if (!(await hasRewardsCalculatedEvent(api, blockHash, periodIndex))) {
+      throw new Error(
+        `RewardsCalculatedForPeriod event for period ${periodIndex} not found in block ${blockHash}`
+      );
+    }
+  } catch (error) {
+    throw new Error(
+      `Failed to verify RewardsCalculatedForPeriod event in block ${blockHash}: ${error.message}`
+    );
+  }
+
+  console.log(
+    `✅ Verified RewardsCalculatedForPeriod event for period ${periodIndex} at block ${blockHash}`
+  );
+  return blockHash;
+}
+
+/// Helper to binary search the first block where the earned rewards of the probe address changed
+async function findRewardsChangeBlock(
+  api,
+  baselineBlock,
+  fromBlock,
+  toBlock,
+  { address, groupNs }
+) {
+  // Rewards for the period are only calculated once, inside the next period, so the
+  // earned rewards of a subscriber stay equal to the baseline until the calculation starts
+  const readRewards = async (blockNumber) => {
+    const blockHash = await api.rpc.chain.getBlockHash(blockNumber);
+    const earnedRewards = await api.query.workerNodePallet.earnedRewards.at(
+      blockHash,
+      address,
+      groupNs
+    );
+    return earnedRewards.toString();
+  };
+
+  const baseline = await readRewards(baselineBlock);
+  if ((await readRewards(toBlock)) === baseline) {
+    console.debug(
+      `Earned rewards of ${address} didn't change in blocks ${fromBlock}-${toBlock}, binary search not possible`
+    );
+    return null;
+  }
+
+  let low = fromBlock;
+  let high = toBlock;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    console.debug(`🔍 Binary search probing block ${middle} (${low}-${high})`);
+
+    if ((await readRewards(middle)) === baseline) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  console.debug(`Earned rewards of ${address} first changed at block ${low}`);
+  return low;
+}
+
+/// Helper to scan blocks for the RewardsCalculatedForPeriod event with bounded concurrency
+async function scanForRewardsEvent(
+  api,
+  periodIndex,
+  fromBlock,
+  toBlock,
+  concurrency
+) {
+  for (
+    let batchStart = fromBlock;
+    batchStart <= toBlock;
+    batchStart += concurrency
+  ) {
+    const batchEnd = Math.min(batchStart + concurrency - 1, toBlock);
+    console.debug(`🔍 Scanning blocks ${batchStart}-${batchEnd}...`);
+
+    const blockNumbers = [];
+    for (let blockNumber = batchStart; blockNumber <= batchEnd; blockNumber++) {
+      blockNumbers.push(blockNumber);
+    }
+
+    const matches = await Promise.all(
+      blockNumbers.map(async (blockNumber) => {
+        try {
+          const blockHash = await api.rpc.chain.getBlockHash(blockNumber);
+          return (await hasRewardsCalculatedEvent(api, blockHash, periodIndex))
+            ? blockHash.toString()
+            : null;
+        } catch (error) {
+          console.debug(
+            `Could not query block ${blockNumber}: ${error.message}`
+          );
+          return null; // Skip this block and continue with the next one
+        }
+      })
+    );
+
+    // Keep the earliest match of the batch
+    const index = matches.findIndex((blockHash) => blockHash !== null);
+    if (index !== -1) {
+      console.debug(
+        `Found RewardsCalculatedForPeriod event for period ${periodIndex} at block ${blockNumbers[index]}`
+      );
+      return matches[index];
+    }
+  }
+
+  return null;
+}
+
+/// Helper to read the number of the last finalized block
+async function getFinalizedBlockNumber(api) {
+  const finalizedHash = await api.rpc.chain.getFinalizedHead();
+  return (await api.rpc.chain.getHeader(finalizedHash)).number.toNumber();
+}
+
+/// Helper to find the required blocks for a period
+export async function findBlockForPeriod(
+  api,
+  periodIndex,
+  { probe, scanConcurrency = 8 } = {}
+) {
+  // Step 1: Get the current active reward period info
+  const activeRewardPeriodInfo =
+    await api.query.workerNodePallet.activeRewardPeriodInfo();
+  const currentPeriod = activeRewardPeriodInfo.toJSON();
+
+  console.debug(`Current active reward period:`, currentPeriod);
+  console.debug(`Requested period: ${periodIndex}`);
+  console.debug(`Periods difference: ${currentPeriod.index - periodIndex}`);
+
+  if (periodIndex > currentPeriod.index) {
+    throw new Error(
+      `Requested period ${periodIndex} is in the future. Current period is ${currentPeriod.index}`
+    );
+  }
+
+  // Step 2: find the block in the *next* period when RewardsCalculatedForPeriod(periodIndex) was emitted
+  // We need to scan forward from the period after the requested one
+  const nextPeriodIndex = periodIndex + 1;
+
+  if (nextPeriodIndex > currentPeriod.index) {
+    throw new Error(
+      `Period ${periodIndex} is the current period (${currentPeriod.index}) or in the future. ` +
+        `RewardsCalculatedForPeriod event has not been emitted yet.`
+    );
+  }
+
+  // Resolve the block range of the requested period and the next period
+  const requestedPeriod = await resolvePeriod(api, periodIndex);
+  const nextPeriod = await resolvePeriod(api, nextPeriodIndex);
+
+  const requestedPeriodStartBlock = requestedPeriod.firstBlock;
+  const nextPeriodStartBlock = nextPeriod.firstBlock;
+
+  // The next period may still be running. Blocks after the finalized one may still be
+  // reverted, so an event found there could belong to a fork that is later dropped
+  const finalizedBlock = await getFinalizedBlockNumber(api);
+  const nextPeriodEndBlock = Math.min(
+    nextPeriodStartBlock + nextPeriod.length - 1,
+    finalizedBlock
+  );
+  const nextPeriodEnded =
+    finalizedBlock >= nextPeriodStartBlock + nextPeriod.length - 1;
+
+  console.debug(
+    `Requested period ${periodIndex} starts at block ${requestedPeriodStartBlock}`
+  );
+  console.debug(
+    `Next period ${nextPeriodIndex} starts at block ${nextPeriodStartBlock}`
+  );
+
+  // Count SystemVotingRounds in the previous period to determine minimum processing time
+  const previousPeriodIndex = periodIndex - 1;
+  let startBlock = nextPeriodStartBlock;
+
+  if (previousPeriodIndex >= 0) {
+    try {
+      console.debug(
+        `\n🔍 Counting SystemVotingRounds in previous period ${previousPeriodIndex}...`
+      );
+
+      // Get the last block of the previous period
+      const previousPeriodEndBlock = requestedPeriodStartBlock - 1;
+
+      console.debug(
+        `Previous period ${previousPeriodIndex} ends at block ${previousPeriodEndBlock}`
+      );
+
+      // Query at the end of the previous period to get the total count
+      const previousPeriodEndHash = await api.rpc.chain.getBlockHash(
+        previousPeriodEndBlock
+      );
+
+      // Count all SystemVotingRound entries for the previous period
+      const previousPeriodSystemVotingRounds =
+        await api.query.workerNodePallet.systemVotingRound.entriesAt(
+          previousPeriodEndHash,
+          previousPeriodIndex
+        );
+
+      const totalSystemVotingRounds = previousPeriodSystemVotingRounds.length;
+      console.debug(
+        `Found ${totalSystemVotingRounds} SystemVotingRounds in previous period ${previousPeriodIndex}`
+      );
+
+      // Calculate start block: start of next period + minimum processing time
+      // The system needs at least this many blocks to process all voting rounds
+      startBlock = nextPeriodStartBlock + totalSystemVotingRounds;
+
+      console.debug(
+        `Search start: block ${startBlock} (${nextPeriodStartBlock} + ${totalSystemVotingRounds} SystemVotingRounds)`
+      );
+      console.debug(
+        `This reduces search range from ${
+          nextPeriodEndBlock - nextPeriodStartBlock + 1
+        } blocks to ${nextPeriodEndBlock - startBlock + 1} blocks`
+      );
+
+      // Ensure we don't go beyond the end of the next period
+      if (startBlock > nextPeriodEndBlock) {
+        console.debug(
+          `⚠️  Start block ${startBlock} exceeds period end ${nextPeriodEndBlock}, using period start instead`
+        );
+        startBlock = nextPeriodStartBlock;
+      }
+    } catch (error) {
+      throw new Error(`⚠️  Start block search failed: ${error.message}`);
+    }
+  }
+
+  console.debug(
+    `Scanning blocks ${startBlock} to ${nextPeriodEndBlock} for RewardsCalculatedForPeriod event`
+  );
+
+  // Narrow the range with a binary search on the earned rewards of a subscriber, the
+  // event is emitted at or after the block where the calculation started changing them
+  let scanStartBlock = startBlock;
+  if (probe) {
+    try {
+      const changeBlock = await findRewardsChangeBlock(
+        api,
+        nextPeriodStartBlock - 1,
+        startBlock,
+        nextPeriodEndBlock,
+        probe
+      );
+      if (changeBlock !== null) {
+        scanStartBlock = changeBlock;
+        console.debug(
+          `Binary search narrowed the scan start to block ${scanStartBlock}`
+        );
+      }
+    } catch (error) {
+      console.debug(`Binary search failed: ${error.message}`);
+    }
+  }
+
+  // Walk through blocks from the optimized start point until the event is found
+  let blockHash = await scanForRewardsEvent(
+    api,
+    periodIndex,
+    scanStartBlock,
+    nextPeriodEndBlock,
+    scanConcurrency
+  );
+
+  // Probing an address can't skip past the event, but rescan the skipped blocks just in case
+  if (!blockHash && scanStartBlock > startBlock) {
+    blockHash = await scanForRewardsEvent(
+      api,
+      periodIndex,
+      startBlock,
+      scanStartBlock - 1,
+      scanConcurrency
+    );
+  }
+
+  if (blockHash) {
+    return verifyRewardsBlock(api, blockHash, periodIndex);
+  }
+
+  if (!nextPeriodEnded) {
+    throw new Error(
+      `RewardsCalculatedForPeriod event has not been emitted yet for period ${periodIndex}, ` +
+        `no event up to the finalized block ${finalizedBlock}`
+    );
+  }
+
+  throw new Error(
+    `No RewardsCalculatedForPeriod event found for period ${periodIndex} in the optimized search range ${startBlock}-${nextPeriodEndBlock}`
+  );
+}
+
+export async function findBlockBeforeRewardsCalculated(
+  api,
+  rewardsCalculatedBlockHash
+) {
+  try {
+    console.log(`Finding block before RewardsCalculatedForPeriod event...`);
+
+    // Get the block number from the hash
+    const blockHeader = await api.rpc.chain.getHeader(
+      rewardsCalculatedBlockHash
+    );
+    const blockNumber = blockHeader.number.toNumber();
+
+    console.debug(`RewardsCalculatedForPeriod found at block ${blockNumber}`);
+
+    // Look for the block BEFORE any EarnedRewardCalculated events
+    // We need to keep going backwards until we find a block without the event
+    const searchRange = 50; // Check up to 50 blocks before to ensure we find the initial state
+
+    let lastBlockWithEvent = null;
+    let initialBlockHash = null;
+
+    for (let i = 1; i <= searchRange; i++) {
+      const checkBlockNumber = blockNumber - i;
+      if (checkBlockNumber < 0) break;
+
+      try {
+        const checkBlockHash = await api.rpc.chain.getBlockHash(
+          checkBlockNumber
+        );
+        const events = await api.query.system.events.at(checkBlockHash);
+
+        // Check if this block has EarnedRewardCalculated event
+        let hasEvent = false;
+        for (const { event } of events) {
+          if (event.method === "EarnedRewardCalculated") {
+            hasEvent = true;
+            lastBlockWithEvent = checkBlockHash;
+            console.debug(
+              `Block ${checkBlockNumber} has EarnedRewardCalculated event`
+            );
+            break;
+          }
+        }
+
+        // If this block doesn't have the event, we've found our initial state block
+        if (!hasEvent) {
+          initialBlockHash = checkBlockHash;
+          console.debug(
+            `Block ${checkBlockNumber} has NO EarnedRewardCalculated event - this is our initial state block`
+          );
+          break;
+        }
+      } catch (error) {
+        console.debug(
+          `Error checking block ${checkBlockNumber}: ${error.message}`
+        );
+        continue;
+      }
+    }
+
+    if (initialBlockHash) {
+      console.log(
+        `✅ Found initial state block: ${initialBlockHash} (no EarnedRewardCalculated event)`
+      );
+      return initialBlockHash;
+    } else if (lastBlockWithEvent) {
+      // If we couldn't find a block without the event, use the last block with the event
+      console.log(
+        `⚠️  Could not find block without EarnedRewardCalculated event, using last block with event: ${lastBlockWithEvent}`
+      );
+      return lastBlockWithEvent;
+    } else {
+      // Fallback: use the block before RewardsCalculatedForPeriod
+      const blockBeforeHash = await api.rpc.chain.getBlockHash(blockNumber - 1);
+      console.log(
+        `⚠️  Fallback: using block before RewardsCalculatedForPeriod: ${
+          blockNumber - 1
+        } (${blockBeforeHash})`
+      );
+      return blockBeforeHash;
+    }
+  } catch (error) {
+    throw new Error(
+      `Failed to find block before RewardsCalculatedForPeriod: ${error.message}`
+    );
+  }
+}
+
+export async function getEligibleRounds(
+  api,
+  period,
+  groupNs,
+  address,
+  blockHash
+) {
+  try {
+    // Based on the pallet logic:
+    // total_eligible_rounds = NumberOfVotings - (NumberOfVotingsWithNomination - NumberOfOperatorVotingsWithNomination)
+
+    // Query storage at the specific block hash using the .at() method
+    const numberOfVotings = await api.query.workerNodePallet.numberOfVotings.at(
+      blockHash,
+      period,
+      groupNs
+    );
+    const numberOfVotingsWithNomination =
+      await api.query.workerNodePallet.numberOfVotingsWithNomination.at(
+        blockHash,
+        period,
+        groupNs
+      );
+    // numberOfOperatorVotingsWithNomination might not exist, so we'll try to query it but handle errors gracefully
+    let numberOfOperatorVotingsWithNomination = null;
+    try {
+      numberOfOperatorVotingsWithNomination =
+        await api.query.workerNodePallet.numberOfOperatorVotingsWithNomination.at(
+          blockHash,
+          period, // RewardPeriodIndex first
+          [address, groupNs] // Tuple of (OperatorAccount, SolutionGroupNamespace)
+        );
+    } catch (error) {
+      console.debug(
+        `numberOfOperatorVotingsWithNomination query failed: ${error.message}`
+      );
+      numberOfOperatorVotingsWithNomination = null;
+    }
+
+    // Check if data exists and decode it
+    // Note: numberOfVotings and numberOfVotingsWithNomination return BN directly, not Option
+    if (!numberOfVotings || !numberOfVotingsWithNomination) {
+      throw new Error(
+        `Some voting data not found for period ${period}, group ${groupNs}. ` +
+          `numberOfVotings: ${numberOfVotings ? "Some" : "None"}, ` +
+          `numberOfVotingsWithNomination: ${
+            numberOfVotingsWithNomination ? "Some" : "None"
+          }`
+      );
+    }
+
+    // numberOfOperatorVotingsWithNomination might not exist, so we'll handle it gracefully
+    let operatorVotingsWithNomination = 0;
+    try {
+      if (numberOfOperatorVotingsWithNomination) {
+        // Check if it's an Option type
+        if (numberOfOperatorVotingsWithNomination.isNone !== undefined) {
+          if (!numberOfOperatorVotingsWithNomination.isNone) {
+            operatorVotingsWithNomination =
+              numberOfOperatorVotingsWithNomination.unwrap().toNumber();
+          }
+        } else {
+          // It's a direct value (like BN)
+          operatorVotingsWithNomination =
+            numberOfOperatorVotingsWithNomination.toNumber();
+        }
+      }
+    } catch (error) {
+      console.debug(
+        `numberOfOperatorVotingsWithNomination not available, using 0: ${error.message}`
+      );
+      operatorVotingsWithNomination = 0;
+    }
+
+    // Decode the storage data using standard methods
+    const totalVotings = numberOfVotings.toNumber();
+    const totalVotingsWithNomination = numberOfVotingsWithNomination.toNumber();
+
+    const totalEligibleRounds =
+      totalVotings -
+      (totalVotingsWithNomination - operatorVotingsWithNomination);
+
+    console.debug("\nVoting eligibility stats");
+    console.debug(`Querying for group: ${groupNs}, period: ${period}`);
+    console.debug(
+      `totalVotings=${totalVotings}, totalVotingsWithNomination=${totalVotingsWithNomination}, operatorVotingsWithNomination=${operatorVotingsWithNomination}`
+    );
+    console.debug(`calculated totalEligibleRounds=${totalEligibleRounds}`);
+
+    return totalEligibleRounds;
+  } catch (error) {
+    throw new Error(`Failed to calculate eligible rounds: ${error.message}`);
+  }
+}
+
+export async function getCorrectVotesForAddress(
+  api,
+  period,
+  groupNs,
+  address,
+  blockHash
+) {
+  try {
+    // Query the number of correct votes for the address in the specific period and group
+    // Using VoteMetadata storage item: (groupNamespace, rewardPeriodIndex, operatorAccount) -> u32
+
+    console.debug(
+      `\nQuerying voteMetadata for group: ${groupNs}, period: ${period}, address: ${address}`
+    );
+    const voteMetadata = await api.query.workerNodePallet.voteMetadata.at(
+      blockHash,
+      groupNs,
+      period,
+      address
+    );
+
+    const votes = voteMetadata.toNumber();
+    console.debug(
+      `Found voting data for address ${address} in period ${period}, group ${groupNs}: ${votes} correct votes\n`
+    );
+    return votes;
+  } catch (error) {
+    throw new Error(
+      `Failed to get votes for address ${address}: ${error.message}`
+    );
+  }
+}
+
+export async function getSlaThreshold(api, period, groupNs, blockHash) {
+  try {
+    const groupInfo = await api.query.workerNodePallet.solutionsGroups.at(
+      blockHash,
+      groupNs
+    );
+
+    const group = groupInfo.unwrap().toHuman();
+    // The SLA threshold might be stored in the group configuration
+    // Look for slaVotingThreshold or similar field
+    console.debug(
+      `Found SLA threshold ${group.slaVotingThreshold} from group config`
+    );
+    return group.slaVotingThreshold;
+  } catch (error) {
+    throw new Error(
+      `Could not find SLA threshold for group ${groupNs} - not found in group config or direct storage query: ${error.message}`
+    );
+  }
+}
+
+export async function getRewardsForAddress(
+  api,
+  period,
+  groupNs,
+  address,
+  blockHash
+) {
+  try {
+    // Query rewards earned by the address for the specific group
+    // Based on the existing codebase, this uses the earnedRewards storage item
+
+    const earnedRewards = await api.query.workerNodePallet.earnedRewards.at(
+      blockHash,
+      address,
+      groupNs
+    );
+
+    console.debug(
+      `Decoded rewards - Subscription: ${earnedRewards[0].toHuman()}, Voting: ${earnedRewards[1].toHuman()}`
+    );
+    return earnedRewards;
+  } catch (error) {
+    throw new Error(
+      `Failed to get rewards for address ${address}: ${error.message}`
+    );
+  }
+}
+
+export async function getGroupInfo(api, groupNs, blockHash) {
+  // Get group information including SLA threshold
+  try {
+    const groupInfo = await api.query.workerNodePallet.solutionsGroups.at(
+      blockHash,
+      groupNs
+    );
+    if (groupInfo.isNone) {
+      throw new Error(`Solution group ${groupNs} does not exist`);
+    }
+
+    return groupInfo.unwrap().toHuman();
+  } catch (error) {
+    throw new Error(
+      `Failed to fetch group info for ${groupNs}: ${error.message}`
+    );
+  }
+}
+
+export async function getPeriodInfo(api, periodIndex, blockHash) {
+  // Get reward period information from ActiveRewardPeriodInfo
+  try {
+    // Resolve the requested period's real block range, relative to the period active at the block
+    const period = await resolvePeriod(api, periodIndex, blockHash);
+    const periodEndBlock = period.firstBlock + period.length - 1;
+
+    return {
+      index: periodIndex,
+      start: period.firstBlock,
+      end: periodEndBlock,
+      length: period.length,
+      firstBlock: period.firstBlock,
+    };
+  } catch (error) {
+    throw new Error(
+      `Failed to fetch period info for ${periodIndex}: ${error.message}`
+    );
+  }
+}
+
+/// Read the timestamp of a block in milliseconds since the epoch
+export async function getBlockTimestamp(api, blockHash) {
+  try {
+    return (await api.query.timestamp.now.at(blockHash)).toNumber();
+  } catch (error) {
+    throw new Error(
+      `Failed to read timestamp of block ${blockHash}: ${error.message}`
+    );
+  }
+}
+
+/// Measure the average block time of a period in milliseconds from the timestamps of its first and last block
+export async function getPeriodBlockTime(api, periodInfo) {
+  try {
+    const readTimestamp = async (blockNumber) =>
+      getBlockTimestamp(api, await api.rpc.chain.getBlockHash(blockNumber));
+
+    const elapsed =
+      (await readTimestamp(periodInfo.end)) -
+      (await readTimestamp(periodInfo.start));
+    const blockTime = elapsed / (periodInfo.end - periodInfo.start);
+
+    console.debug(
+      `Period ${periodInfo.index} took ${elapsed} ms, ${blockTime} ms per block`
+    );
+    return blockTime;
+  } catch (error) {
+    throw new Error(
+      `Failed to measure block time of period ${periodInfo.index}: ${error.message}`
+    );
+  }
+}
+
+/// Helper to compute the rewards per token staked and their annualized yield
+export function computeRewardYield(
+  periodRewards,
+  stake,
+  periodLength,
+  blockTime
+) {
+  const msPerYear = 365.25 * 24 * 60 * 60 * 1000;
+  const totalRewards = periodRewards[0].add(periodRewards[1]);
+
+  // Both amounts are in the smallest unit, so their ratio is the reward per token staked
+  const rewardPerStake =
+    Number(totalRewards.toString()) / Number(stake.toString());
+  const periodsPerYear = msPerYear / (periodLength * blockTime);
+
+  return {
+    rewardPerStake,
+    periodsPerYear,
+    // Simple annualization, rewards aren't restaked automatically
+    apr: rewardPerStake * periodsPerYear * 100,
+  };
+}
+
+/// Helper to read the per-block reward pools of a group, null when the group has no rewards config
+export function getGroupRewardsConfig(groupInfo) {
+  const rewardsConfig = groupInfo?.rewardsConfig;
+  if (!rewardsConfig) {
+    return null;
+  }
+
+  return {
+    subscriptionRewardPerBlock: parseBalance(
+      rewardsConfig.subscriptionRewardPerBlock
+    ),
+    votingRewardPerBlock: parseBalance(rewardsConfig.votingRewardPerBlock),
+  };
+}
+
+/// Rebuild the rewards an address should have earned in a period and compare them with the
+/// earned rewards delta, returning the formula inputs along with the comparison
+export function reconstructExpectedRewards({
+  rewardsConfig,
+  stake,
+  totalStake,
+  periodLength,
+  meetsSla,
+  periodRewards,
+  tolerance,
+}) {
+  // Each pool pays out every block of the period, split by stake share.
+  // The voting pool only pays operators that met the SLA
+  const shareOf = (rewardPerBlock) =>
+    rewardPerBlock.muln(periodLength).mul(stake).div(totalStake);
+  const expected = [
+    shareOf(rewardsConfig.subscriptionRewardPerBlock),
+    meetsSla ? shareOf(rewardsConfig.votingRewardPerBlock) : new BN(0),
+  ];
+
+  const difference = expected.map((amount, i) => periodRewards[i].sub(amount));
+
+  // The tolerance is a percentage of the expected amount, kept in millionths to stay in BN
+  const toleranceMillionths = new BN(Math.round(tolerance * 10000));
+  const withinTolerance = expected.map((amount, i) =>
+    difference[i]
+      .abs()
+      .lte(amount.mul(toleranceMillionths).div(new BN(1000000)))
+  );
+
+  return {
+    rewardsConfig,
+    stake,
+    totalStake,
+    stakeShare:
+      (Number(stake.toString()) / Number(totalStake.toString())) * 100,
+    periodLength,
+    meetsSla,
+    tolerance,
+    expected,
+    difference,
+    withinTolerance,
+    matches: withinTolerance.every(Boolean),
+  };
+}
+
+export async function getAllGroupsSystemVotingRoundsCount(
+  api,
+  periodIndex,
+  blockHash
+) {
+  // Count system voting rounds for all groups in a specific period
+  try {
+    console.debug(
+      `Counting system voting rounds for all groups in period ${periodIndex}...`
+    );
+
+    // Get the last block of the reward period
+    const periodInfo = await getPeriodInfo(api, periodIndex, blockHash);
+    const lastBlockOfPeriod = periodInfo.end;
+
+    console.debug(
+      `Querying system voting rounds for all groups at last block of period: ${lastBlockOfPeriod}`
+    );
+
+    // Convert block number to block hash
+    const lastBlockHash = await api.rpc.chain.getBlockHash(lastBlockOfPeriod);
+    console.debug(
+      `Last block hash for all groups: ${lastBlockHash.toString()}`
+    );
+
+    // Query system voting rounds for all groups using the correct storage definition
+    // StorageDoubleMap: (RewardPeriodIndex, VotingRoundKey) -> VotingRoundInfo
+    // For all groups, we only specify the period index
+    const allSystemVotingRounds =
+      await api.query.workerNodePallet.systemVotingRound.entriesAt(
+        lastBlockHash, // Query at the end of the period (block hash)
+        periodIndex // First key: RewardPeriodIndex (only)
+      );
+
+    const count = allSystemVotingRounds.length;
+    console.debug(
+      `Found ${count} total system voting rounds for period ${periodIndex} across all groups at block ${lastBlockOfPeriod}`
+    );
+
+    return count;
+  } catch (error) {
+    throw new Error(
+      `Failed to count total system voting rounds: ${error.message}`
+    );
+  }
+}
+
+/// Read the state of the active period at the best block, shared by every address of a group
+export async function getLiveVotingContext(
+  api,
+  groupNs,
+  { windowBlocks = 300 } = {}
+) {
+  try {
+    const header = await api.rpc.chain.getHeader();
+    const headBlock = header.number.toNumber();
+    const headHash = header.hash.toString();
+
+    const period = await getActivePeriod(api, headHash);
+    const endBlock = period.firstBlock + period.length - 1;
+
+    // The recent voting rate is measured since this block, within the period
+    const windowBlock = Math.max(period.firstBlock, headBlock - windowBlocks);
+    const windowHash = (
+      await api.rpc.chain.getBlockHash(windowBlock)
+    ).toString();
+
+    const slaPercentage = await getSlaThreshold(
+      api,
+      period.index,
+      groupNs,
+      headHash
+    );
+
+    console.log(
+      `   Period ${period.index} is active at block ${headBlock}, ${
+        endBlock - headBlock
+      } blocks before it ends at block ${endBlock}`
+    );
+
+    return {
+      periodIndex: period.index,
+      groupNamespace: groupNs,
+      periodInfo: {
+        index: period.index,
+        start: period.firstBlock,
+        end: endBlock,
+        length: period.length,
+        firstBlock: period.firstBlock,
+      },
+      headBlock,
+      headHash,
+      windowBlock,
+      windowHash,
+      blocksElapsed: headBlock - period.firstBlock + 1,
+      blocksRemaining: endBlock - headBlock,
+      slaPercentage,
+    };
+  } catch (error) {
+    throw new Error(
+      `Failed to read the active period of group ${groupNs}: ${error.message}`
+    );
+  }
+}
+
+/// Project whether an address will meet the SLA of the active period from its votes so far
+export async function analyzeSlaRisk(api, context, address) {
+  const {
+    periodIndex,
+    groupNamespace,
+    headBlock,
+    headHash,
+    windowBlock,
+    windowHash,
+    blocksElapsed,
+    blocksRemaining,
+    slaPercentage,
+  } = context;
+
+  const readVoting = async (blockHash) => ({
+    eligibleRounds: await getEligibleRounds(
+      api,
+      periodIndex,
+      groupNamespace,
+      address,
+      blockHash
+    ),
+    votes: await getCorrectVotesForAddress(
+      api,
+      periodIndex,
+      groupNamespace,
+      address,
+      blockHash
+    ),
+  });
+
+  const { eligibleRounds, votes } = await readVoting(headHash);
+  const threshold = parseFloat(slaPercentage.replace("%", "")) / 100;
+
+  if (eligibleRounds === 0) {
+    return {
+      ...context,
+      address,
+      eligibleRounds,
+      votes,
+      voteRatio: null,
+      recentVoteRatio: null,
+      expectedRemainingRounds: null,
+      projectedVoteRatio: null,
+      bestCaseVoteRatio: null,
+      worstCaseVoteRatio: null,
+      roundsCanMiss: null,
+      risk: null,
+    };
+  }
+
+  // Rounds the operator is eligible for keep coming at the rate of the period so far
+  const expectedRemainingRounds = Math.round(
+    (eligibleRounds / blocksElapsed) * blocksRemaining
+  );
+  const finalRounds = eligibleRounds + expectedRemainingRounds;
+
+  // The ratio of the last few hundred blocks catches an operator that just went down
+  let recentRatio = votes / eligibleRounds;
+  if (windowBlock < headBlock) {
+    const before = await readVoting(windowHash);
+    const recentRounds = eligibleRounds - before.eligibleRounds;
+    if (recentRounds > 0) {
+      recentRatio = (votes - before.votes) / recentRounds;
+    }
+  }
+
+  const projectedRatio =
+    (votes + recentRatio * expectedRemainingRounds) / finalRounds;
+  const bestCaseRatio = (votes + expectedRemainingRounds) / finalRounds;
+  const worstCaseRatio = votes / finalRounds;
+  // Negative when even voting in every remaining round isn't enough
+  const roundsCanMiss = Math.min(
+    expectedRemainingRounds,
+    votes + expectedRemainingRounds - Math.ceil(threshold * finalRounds)
+  );
+
+  let risk;
+  if (worstCaseRatio >= threshold) {
+    risk = "secured";
+  } else if (bestCaseRatio < threshold) {
+    risk = "missed";
+  } else if (projectedRatio < threshold) {
+    risk = "at-risk";
+  } else {
+    risk = "on-track";
+  }
+
+  console.debug(
+    `SLA risk of ${address}: ${votes}/${eligibleRounds} votes, ~${expectedRemainingRounds} rounds left, projected ratio ${projectedRatio}, ${risk}`
+  );
+
+  return {
+    ...context,
+    address,
+    eligibleRounds,
+    votes,
+    voteRatio: (votes / eligibleRounds) * 100,
+    recentVoteRatio: recentRatio * 100,
+    expectedRemainingRounds,
+    projectedVoteRatio: projectedRatio * 100,
+    bestCaseVoteRatio: bestCaseRatio * 100,
+    worstCaseVoteRatio: worstCaseRatio * 100,
+    roundsCanMiss,
+    risk,
+  };
+}
+
+/// Helper to read the group of a voting round from its info, or from its key when the key holds it
+function getRoundNamespace(roundKey, roundInfo) {
+  const namespace =
+    roundInfo?.namespace ??
+    roundInfo?.solutionGroupNamespace ??
+    (Array.isArray(roundKey) ? roundKey[0] : undefined);
+  return namespace === undefined ? undefined : String(namespace);
+}
+
+/// List the system voting rounds of a group in a period with the vote of every operator
+export async function getVotingRounds(api, periodIndex, groupNs) {
+  try {
+    const periodInfo = await getPeriodInfo(api, periodIndex);
+
+    // The rounds of a period are complete once its last block is in the chain
+    const header = await api.rpc.chain.getHeader();
+    if (header.number.toNumber() < periodInfo.end) {
+      throw new Error(
+        `Period ${periodIndex} has not ended yet, it ends at block ${periodInfo.end}`
+      );
+    }
+    const lastBlockHash = await api.rpc.chain.getBlockHash(periodInfo.end);
+
+    console.log(
+      `   Listing voting rounds of period ${periodIndex} at block ${periodInfo.end} (${lastBlockHash})`
+    );
+
+    // StorageDoubleMap: (RewardPeriodIndex, VotingRoundKey) -> VotingRoundInfo
+    const entries =
+      await api.query.workerNodePallet.systemVotingRound.entriesAt(
+        lastBlockHash,
+        periodIndex
+      );
+
+    const rounds = [];
+    for (const [key, value] of entries) {
+      const roundKey = key.args[1];
+      const info = value.toJSON() ?? {};
+      if (getRoundNamespace(roundKey.toJSON(), info) !== groupNs) continue;
+
+      // StorageDoubleMap: (VotingRoundKey, OperatorAccount) -> Hash of the submitted vote
+      const voteEntries = await api.query.workerNodePallet.votes.entriesAt(
+        lastBlockHash,
+        roundKey
+      );
+      const votes = new Map();
+      for (const [voteKey, vote] of voteEntries) {
+        if (vote.isNone) continue;
+        votes.set(
+          voteKey.args[1].toString(),
+          (vote.isSome ? vote.unwrap() : vote).toString()
+        );
+      }
+
+      rounds.push({
+        key: roundKey.toString(),
+        startBlock: info.startBlock ?? null,
+        votingRoundId: info.votingRoundId ?? null,
+        consensus: info.consensus ?? null,
+        // Rounds with nominations only count for the nominated operators
+        nominatedOperators: info.nominatedOperators?.length
+          ? info.nominatedOperators.map(String)
+          : null,
+        votes,
+      });
+    }
+
+    rounds.sort(
+      (a, b) =>
+        (a.startBlock ?? 0) - (b.startBlock ?? 0) ||
+        (a.votingRoundId ?? 0) - (b.votingRoundId ?? 0)
+    );
+    console.log(
+      `   Found ${rounds.length} voting rounds of group ${groupNs} out of ${entries.length} in period ${periodIndex}`
+    );
+
+    return { periodInfo, rounds };
+  } catch (error) {
+    throw new Error(
+      `Failed to list voting rounds of group ${groupNs} in period ${periodIndex}: ${error.message}`
+    );
+  }
+}
+
+/// Helper to follow an operator through the voting rounds of a period, with the runs of missed rounds
+export function buildVotingTimeline(rounds, address) {
+  const timeline = rounds.map((round, i) => {
+    const eligible =
+      round.nominatedOperators === null ||
+      round.nominatedOperators.includes(address);
+    const vote = round.votes.get(address) ?? null;
+
+    let status;
+    if (!eligible) {
+      status = "not-eligible";
+    } else if (vote === null) {
+      status = "missed";
+    } else if (round.consensus === null) {
+      status = "no-consensus";
+    } else {
+      status = vote === round.consensus ? "correct" : "wrong";
+    }
+
+    return {
+      round: round.votingRoundId ?? i + 1,
+      key: round.key,
+      startBlock: round.startBlock,
+      eligible,
+      voted: vote !== null,
+      vote,
+      consensus: round.consensus,
+      status,
+    };
+  });
+
+  const summary = {
+    rounds: timeline.length,
+    eligible: 0,
+    voted: 0,
+    correct: 0,
+    wrong: 0,
+    missed: 0,
+  };
+  for (const entry of timeline) {
+    if (!entry.eligible) continue;
+    summary.eligible++;
+    if (entry.voted) summary.voted++;
+    if (entry.status === "correct") summary.correct++;
+    if (entry.status === "wrong") summary.wrong++;
+    if (entry.status === "missed") summary.missed++;
+  }
+
+  // Consecutive missed rounds, rounds the operator wasn't eligible for don't end a run
+  const gaps = [];
+  let gap = null;
+  for (const entry of timeline) {
+    if (entry.status === "missed") {
+      if (!gap) {
+        gap = {
+          fromRound: entry.round,
+          toRound: entry.round,
+          fromBlock: entry.startBlock,
+          toBlock: entry.startBlock,
+          rounds: 0,
+        };
+        gaps.push(gap);
+      }
+      gap.toRound = entry.round;
+      gap.toBlock = entry.startBlock;
+      gap.rounds++;
+    } else if (entry.eligible) {
+      gap = null;
+    }
+  }
+
+  return { timeline, summary, gaps };
+}
+
+export async function getGroupSubscribers(api, periodIndex, groupNs) {
+  // List every account with a stake record for the group at the start of the period
+  try {
+    const { firstBlock: periodStartBlock } = await resolvePeriod(
+      api,
+      periodIndex
+    );
+    const periodBlockHash = await api.rpc.chain.getBlockHash(periodStartBlock);
+
+    console.debug(
+      `Listing stake records for group ${groupNs} at block ${periodStartBlock} (${periodBlockHash})`
+    );
+
+    // StorageDoubleMap: (SolutionGroupNamespace, AccountId) -> StakeRecord
+    // For all subscribers, we only specify the group namespace
+    const stakeRecords =
+      await api.query.workerNodePallet.solutionGroupStakeRecords.entriesAt(
+        periodBlockHash,
+        groupNs
+      );
+
+    const subscribers = stakeRecords
+      .filter(([, stakeRecord]) => !stakeRecord.isNone)
+      .map(([key]) => key.args[1].toString());
+
+    console.debug(
+      `Found ${subscribers.length} stake records for group ${groupNs} in period ${periodIndex}`
+    );
+
+    return subscribers;
+  } catch (error) {
+    throw new Error(
+      `Failed to list subscribers of group ${groupNs}: ${error.message}`
+    );
+  }
+}
+
+/// Helper to sort leaderboard results by total period reward and number them
+export function rankResults(results) {
+  const totalRewards = (result) =>
+    result.periodRewards[0].add(result.periodRewards[1]);
+
+  const ranked = results
+    .filter((result) => !result.error)
+    .sort((a, b) => totalRewards(b).cmp(totalRewards(a)))
+    .map((result, i) => ({ ...result, rank: i + 1 }));
+
+  return [...ranked, ...results.filter((result) => result.error)];
+}
+
+/// Add up the stake of every subscriber of the group that applied to a period
+export async function getGroupTotalStake(api, periodIndex, groupNs) {
+  try {
+    const { firstBlock: periodStartBlock } = await resolvePeriod(
+      api,
+      periodIndex
+    );
+    const periodBlockHash = await api.rpc.chain.getBlockHash(periodStartBlock);
+
+    const stakeRecords =
+      await api.query.workerNodePallet.solutionGroupStakeRecords.entriesAt(
+        periodBlockHash,
+        groupNs
+      );
+
+    let totalStake = new BN(0);
+    for (const [key, stakeRecord] of stakeRecords) {
+      if (stakeRecord.isNone) continue;
+
+      let applied = parseStakeRecord(stakeRecord)
+        .filter(({ period }) => period <= periodIndex)
+        .pop();
+      if (!applied) {
+        // Only later updates in the record, the stake of the period is in an older one
+        applied = await getStakeForPeriod(
+          api,
+          periodIndex,
+          groupNs,
+          key.args[1].toString()
+        );
+      }
+      if (applied) {
+        totalStake = totalStake.add(applied.stake);
+      }
+    }
+
+    console.debug(
+      `Total stake of group ${groupNs} in period ${periodIndex}: ${totalStake.toString()} from ${
+        stakeRecords.length
+      } stake records`
+    );
+    return totalStake;
+  } catch (error) {
+    throw new Error(
+      `Failed to get total stake of group ${groupNs}: ${error.message}`
+    );
+  }
+}
+
+/// Helper to read the period index from the args of an indexed RewardsCalculatedForPeriod event
+function getIndexedEventPeriod(args) {
+  // Depending on the indexer the args are a tuple, a named struct or the bare value
+  const value = Array.isArray(args)
+    ? args[0]
+    : args !== null && typeof args === "object"
+    ? args.periodIndex ?? args.period_index ?? args.period ?? args.index
+    : args;
+  const periodIndex = Number(value);
+  return Number.isInteger(periodIndex) ? periodIndex : null;
+}
+
+/// Helper to query the indexer for rewards calculation block
+export async function queryIndexerForRewardsBlock(
+  indexerUrl,
+  periodIndex,
+  api,
+  { pageSize = 100 } = {}
+) {
+  try {
+    // Resolve the boundaries of the requested period and the next period (period 614 + 1 = period 615)
+    const period = await resolvePeriod(api, periodIndex);
+    const nextPeriod = await resolvePeriod(api, periodIndex + 1);
+
+    const periodStartBlock = period.firstBlock;
+    const periodEndBlock = nextPeriod.firstBlock - 1;
+    const nextPeriodStartBlock = nextPeriod.firstBlock;
+
+    console.log(
+      `Period ${periodIndex} block range: ${periodStartBlock} to ${periodEndBlock}`
+    );
+    console.log(
+      `Next period ${periodIndex + 1} starts at block: ${nextPeriodStartBlock}`
+    );
+
+    // The rewards of a period are calculated once the next period has started, so the
+    // event must fall within the next period
+    const searchStartBlock = nextPeriodStartBlock;
+    const searchEndBlock = nextPeriodStartBlock + nextPeriod.length - 1;
+
+    console.log(
+      `Searching for RewardsCalculatedForPeriod event after next period starts: blocks ${searchStartBlock} to ${searchEndBlock}`
+    );
+
+    const query = `query RewardsCalculatedForPeriod(
+        $fromBlock: Int!
+        $toBlock: Int!
+        $limit: Int!
+        $offset: Int!
+      ) {
+        events(
+          where: {
+            name_eq: "WorkerNodePallet.RewardsCalculatedForPeriod"
+            blockNumber_gte: $fromBlock
+            blockNumber_lte: $toBlock
+          }
+          orderBy: blockNumber_ASC
+          limit: $limit
+          offset: $offset
+        ) {
+          id
+          name
+          blockNumber
+          args
+          extrinsic {
+            id
+            hash
+          }
+        }
+      }`;
+
+    for (let offset = 0; ; offset += pageSize) {
+      const response = await fetch(indexerUrl, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          query,
+          variables: {
+            fromBlock: searchStartBlock,
+            toBlock: searchEndBlock,
+            limit: pageSize,
+            offset,
+          },
+        }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const data = await response.json();
+
+      if (data.errors) {
+        throw new Error(`GraphQL errors: ${JSON.stringify(data.errors)}`);
+      }
+
+      const events = data.data?.events ?? [];
+
+      // Match the period index from the event args instead of relying on the block range alone
+      const event = events.find(
+        ({ args }) => getIndexedEventPeriod(args) === periodIndex
+      );
+      if (event) {
+        console.log(
+          `✅ Found RewardsCalculatedForPeriod event for period ${periodIndex} at block ${event.blockNumber} (indexer event ${event.id})`
+        );
+        console.log(
+          event.extrinsic
+            ? `   Emitted by extrinsic ${event.extrinsic.id} (${event.extrinsic.hash})`
+            : "   Emitted outside of an extrinsic"
+        );
+        return {
+          blockNumber: event.blockNumber,
+          eventId: event.id,
+          extrinsicId: event.extrinsic?.id ?? null,
+          extrinsicHash: event.extrinsic?.hash ?? null,
+        };
+      }
+
+      if (events.length < pageSize) {
+        break;
+      }
+      console.debug(
+        `No matching event in indexer page at offset ${offset}, fetching the next page`
+      );
+    }
+
+    console.log(
+      `No RewardsCalculatedForPeriod event for period ${periodIndex} found within blocks ${searchStartBlock} to ${searchEndBlock}`
+    );
+    return null;
+  } catch (error) {
+    throw new Error(`Indexer query failed: ${error.message}`);
+  }
+}
+
+/// Helper to find the RewardsCalculatedForPeriod block using the configured priority
+export async function resolveRewardsBlock(
+  api,
+  periodIndex,
+  { blockHash: specificBlockHash, indexerUrl, probe, scanConcurrency } = {}
+) {
+  if (specificBlockHash) {
+    // Priority 1: Use the provided block hash after verifying the event
+    console.log(`\nUsing provided block hash: ${specificBlockHash}`);
+    return verifyRewardsBlock(api, specificBlockHash, periodIndex);
+  }
+
+  if (indexerUrl) {
+    // Priority 2: Query the indexer for the block number
+    console.log(
+      `\nQuerying indexer at ${indexerUrl} for RewardsCalculatedForPeriod event...`
+    );
+
+    try {
+      const indexedEvent = await queryIndexerForRewardsBlock(
+        indexerUrl,
+        periodIndex,
+        api
+      );
+
+      if (!indexedEvent) {
+        throw new Error(
+          "Indexer query returned no results within the period range"
+        );
+      }
+
+      console.log(
+        `✅ Found block number ${indexedEvent.blockNumber} from indexer within period ${periodIndex} range`
+      );
+
+      // Use the block directly from the indexer
+      const blockHash = await api.rpc.chain.getBlockHash(
+        indexedEvent.blockNumber
+      );
+      console.log(`✅ Using block hash from indexer: ${blockHash}`);
+      return blockHash;
+    } catch (error) {
+      console.log(
+        `⚠️  Indexer query failed: ${error.message}, falling back to blockchain search`
+      );
+    }
+  }
+
+  // Priority 3: Fallback to blockchain search
+  console.log(
+    `\nSearching for RewardsCalculatedForPeriod event for period ${periodIndex}...`
+  );
+  console.log(
+    probe
+      ? `🔍 Using optimized search method (binary search on earned rewards of ${probe.address}, parallel scan)`
+      : "🔍 Using optimized search method (counts SystemVotingRounds in previous period, parallel scan)"
+  );
+
+  const blockHash = await findBlockForPeriod(api, periodIndex, {
+    probe,
+    scanConcurrency,
+  });
+  console.log(`Found block for period ${periodIndex}:`, blockHash);
+  return blockHash;
+}
+
+/// Helper to find the RewardsCalculatedForPeriod and initial state blocks, reusing cached ones
+export async function resolvePeriodBlocks(api, periodIndex, options = {}) {
+  const { cache } = options;
+
+  // A provided block hash is always verified, so it takes precedence over the cache
+  const cachedBlocks =
+    !options.blockHash && cache?.getPeriodBlocks(periodIndex);
+  if (cachedBlocks) {
+    console.log(
+      `\n✅ Using cached blocks for period ${periodIndex}: ${cachedBlocks.rewardsCalculated} (initial state ${cachedBlocks.initialState})`
+    );
+    return {
+      blockHash: cachedBlocks.rewardsCalculated,
+      initialBlockHash: cachedBlocks.initialState,
+    };
+  }
+
+  const blockHash = (
+    await resolveRewardsBlock(api, periodIndex, options)
+  ).toString();
+
+  // Find the block before RewardsCalculatedForPeriod for initial state
+  console.log(
+    "\nFinding block before RewardsCalculatedForPeriod for initial state..."
+  );
+
+  let initialBlockHash;
+  try {
+    initialBlockHash = (
+      await findBlockBeforeRewardsCalculated(api, blockHash)
+    ).toHuman();
+    console.log(`✅ Found initial block: ${initialBlockHash}`);
+  } catch (error) {
+    throw Error(`❌ Failed to find initial block: ${error.message}`);
+  }
+
+  // Only finalized blocks are cached, a provided or indexed block may still be on a fork
+  if (cache) {
+    const blockNumber = (
+      await api.rpc.chain.getHeader(blockHash)
+    ).number.toNumber();
+    if (blockNumber <= (await getFinalizedBlockNumber(api))) {
+      cache.setPeriodBlocks(periodIndex, {
+        rewardsCalculated: blockHash,
+        initialState: initialBlockHash,
+      });
+    } else {
+      console.log(
+        `⚠️  Block ${blockNumber} is not finalized yet, the blocks of period ${periodIndex} are not cached`
+      );
+    }
+  }
+
+  return { blockHash, initialBlockHash };
+}
+
+/// Helper to gather the period state shared by every address in a batch
+export async function resolvePeriodContext(
+  api,
+  periodIndex,
+  groupNs,
+  options = {}
+) {
+  const { cache } = options;
+
+  // Step 1: find the blocks where rewards for the period were calculated
+  const { blockHash, initialBlockHash } = await resolvePeriodBlocks(
+    api,
+    periodIndex,
+    options
+  );
+
+  // Step 2: get additional context information
+  let groupInfo, periodInfo;
+
+  try {
+    groupInfo = await cached(cache, `groupInfo:${blockHash}:${groupNs}`, () =>
+      getGroupInfo(api, groupNs, blockHash)
+    );
+  } catch (error) {
+    throw Error(`❌ Failed to get group info: ${error.message}`);
+  }
+
+  try {
+    periodInfo = await cached(
+      cache,
+      `periodInfo:${blockHash}:${periodIndex}`,
+      () => getPeriodInfo(api, periodIndex, blockHash)
+    );
+  } catch (error) {
+    throw Error(`❌ Failed to get period info: ${error.message}`);
+  }
+
+  let blockTime;
+  try {
+    blockTime = await cached(
+      cache,
+      `blockTime:${blockHash}:${periodIndex}`,
+      () => getPeriodBlockTime(api, periodInfo)
+    );
+  } catch (error) {
+    throw Error(`❌ Failed to get block time: ${error.message}`);
+  }
+
+  // Rewards are credited at the block of RewardsCalculatedForPeriod, which dates them for the fiat valuation
+  let creditedAt;
+  try {
+    creditedAt = await cached(cache, `creditedAt:${blockHash}`, () =>
+      getBlockTimestamp(api, blockHash)
+    );
+    console.log(
+      `✅ Rewards were credited at ${new Date(creditedAt).toISOString()}`
+    );
+  } catch (error) {
+    throw Error(`❌ Failed to get the rewards timestamp: ${error.message}`);
+  }
+
+  // The group's reward pools and total stake are the inputs of the expected rewards
+  const rewardsConfig = getGroupRewardsConfig(groupInfo);
+  let totalStake = null;
+  if (rewardsConfig) {
+    try {
+      totalStake = await cached(
+        cache,
+        `totalStake:${periodIndex}:${groupNs}`,
+        () => getGroupTotalStake(api, periodIndex, groupNs),
+        BN_CODEC
+      );
+      console.log(
+        `✅ Got total stake of group ${groupNs}: ${totalStake.toString()}`
+      );
+    } catch (error) {
+      throw Error(`❌ Failed to get total group stake: ${error.message}`);
+    }
+  } else {
+    console.log(
+      `⚠️  Group ${groupNs} has no rewards config, expected rewards can't be reconstructed`
+    );
+  }
+
+  let slaPercentage;
+  try {
+    slaPercentage = await cached(
+      cache,
+      `slaThreshold:${initialBlockHash}:${groupNs}`,
+      () => getSlaThreshold(api, periodIndex, groupNs, initialBlockHash)
+    );
+  } catch (error) {
+    throw Error(`❌ Failed to get SLA threshold: ${error.message}`);
+  }
+
+  // Get system voting rounds count for all groups
+  let allGroupsSystemVotingRounds = null;
+  try {
+    allGroupsSystemVotingRounds = await cached(
+      cache,
+      `systemVotingRounds:${blockHash}:${periodIndex}`,
+      () => getAllGroupsSystemVotingRoundsCount(api, periodIndex, blockHash)
+    );
+    console.log(
+      `✅ Got total system voting rounds across all groups: ${allGroupsSystemVotingRounds}`
+    );
+  } catch (error) {
+    throw Error(
+      `❌ Failed to get total system voting rounds: ${error.message}`
+    );
+  }
+
+  return {
+    periodIndex,
+    groupNamespace: groupNs,
+    blockHash,
+    initialBlockHash,
+    periodInfo,
+    groupInfo,
+    // Native token of the chain, every amount of the results is in it
+    token: getChainToken(api),
+    blockTime,
+    creditedAt,
+    rewardsConfig,
+    totalStake,
+    rewardTolerance: options.rewardTolerance ?? 0.1,
+    slaPercentage,
+    allGroupsSystemVotingRounds,
+  };
+}
+
+/// Analyze the rewards earned by an address in the context's group for a resolved period
+export async function analyzeAddress(
+  api,
+  context,
+  address,
+  { cache, prices } = {}
+) {
+  const {
+    periodIndex,
+    groupNamespace,
+    blockHash,
+    initialBlockHash,
+    slaPercentage,
+  } = context;
+
+  const stake = await cached(
+    cache,
+    `stake:${periodIndex}:${groupNamespace}:${address}`,
+    () => validateSubscription(api, periodIndex, groupNamespace, address),
+    BN_CODEC
+  );
+
+  // Step 4: query historical state at both blocks
+  console.log(`\nQuerying historical state for ${address}...`);
+
+  let eligibleRounds, votes, initialRewards, finalRewards;
+  try {
+    eligibleRounds = await cached(
+      cache,
+      `eligibleRounds:${initialBlockHash}:${periodIndex}:${groupNamespace}:${address}`,
+      () =>
+        getEligibleRounds(
+          api,
+          periodIndex,
+          groupNamespace,
+          address,
+          initialBlockHash
+        )
+    );
+  } catch (error) {
+    throw Error(`❌ Failed to get eligible rounds: ${error.message}`);
+  }
+
+  try {
+    votes = await cached(
+      cache,
+      `voteMetadata:${initialBlockHash}:${groupNamespace}:${periodIndex}:${address}`,
+      () =>
+        getCorrectVotesForAddress(
+          api,
+          periodIndex,
+          groupNamespace,
+          address,
+          initialBlockHash
+        )
+    );
+  } catch (error) {
+    throw Error(`❌ Failed to get votes: ${error.message}`);
+  }
+
+  try {
+    // Get initial rewards at the block before RewardsCalculatedForPeriod
+    initialRewards = await cached(
+      cache,
+      `earnedRewards:${initialBlockHash}:${address}:${groupNamespace}`,
+      () =>
+        getRewardsForAddress(
+          api,
+          periodIndex,
+          groupNamespace,
+          address,
+          initialBlockHash
+        ),
+      REWARDS_CODEC
+    );
+    console.log(
+      `✅ Got initial rewards: ${initialRewards[0]}, ${initialRewards[1]}`
+    );
+  } catch (error) {
+    throw Error(`❌ Failed to get initial rewards: ${error.message}`);
+  }
+
+  try {
+    // Get final rewards at the block with RewardsCalculatedForPeriod
+    finalRewards = await cached(
+      cache,
+      `earnedRewards:${blockHash}:${address}:${groupNamespace}`,
+      () =>
+        getRewardsForAddress(
+          api,
+          periodIndex,
+          groupNamespace,
+          address,
+          blockHash
+        ),
+      REWARDS_CODEC
+    );
+    console.log(`✅ Got final rewards: ${finalRewards[0]}, ${finalRewards[1]}`);
+  } catch (error) {
+    throw Error(`❌ Failed to get final rewards: ${error.message}`);
+  }
+  // Calculate the actual rewards earned during this period
+  let periodRewards = null;
+  if (initialRewards !== null && finalRewards !== null) {
+    // Handle BN tuple values properly for subtraction
+    // Both are BN tuples [subscriptionRewards, votingRewards]
+    const subscriptionPeriodRewards = finalRewards[0].sub(initialRewards[0]);
+    const votingPeriodRewards = finalRewards[1].sub(initialRewards[1]);
+    periodRewards = [subscriptionPeriodRewards, votingPeriodRewards];
+
+    console.log(
+      `✅ Calculated period rewards - Subscription: ${subscriptionPeriodRewards}, Voting: ${votingPeriodRewards}`
+    );
+  }
+
+  // Rewards relative to the stake, annualized with the period's measured block time
+  let rewardYield = null;
+  if (periodRewards !== null && context.blockTime) {
+    rewardYield = computeRewardYield(
+      periodRewards,
+      stake,
+      context.periodInfo.length,
+      context.blockTime
+    );
+    console.log(
+      `✅ Calculated yield - Reward per ${context.token.symbol} staked: ${
+        rewardYield.rewardPerStake
+      }, APR: ${rewardYield.apr.toFixed(2)}%`
+    );
+  }
+
+  // Step 5: derive SLA check
+  let voteRatio = null;
+  let meetsSla = null;
+  if (eligibleRounds && votes !== null && slaPercentage !== null) {
+    voteRatio = (votes / eligibleRounds) * 100;
+
+    // Convert slaPercentage from string (e.g., "60.00%") to number
+    let slaThresholdNumber = parseFloat(slaPercentage.replace("%", ""));
+
+    meetsSla = voteRatio >= slaThresholdNumber;
+
+    // Debug SLA calculation
+    console.debug(`SLA Calculation Debug:`);
+    console.debug(`  votes: ${votes} (type: ${typeof votes})`);
+    console.debug(
+      `  eligibleRounds: ${eligibleRounds} (type: ${typeof eligibleRounds})`
+    );
+    console.debug(`  voteRatio: ${voteRatio} (type: ${typeof voteRatio})`);
+    console.debug(
+      `  slaPercentage: ${slaPercentage} (type: ${typeof slaPercentage})`
+    );
+    console.debug(
+      `  slaThresholdNumber: ${slaThresholdNumber} (type: ${typeof slaThresholdNumber})`
+    );
+    console.debug(
+      `  meetsSla calculation: ${voteRatio} >= ${slaThresholdNumber} = ${meetsSla}`
+    );
+  }
+
+  // Step 6: check the earned rewards against the group's rewards config
+  let expectedRewards = null;
+  if (
+    context.rewardsConfig &&
+    context.totalStake &&
+    !context.totalStake.isZero() &&
+    periodRewards !== null &&
+    meetsSla !== null
+  ) {
+    expectedRewards = reconstructExpectedRewards({
+      rewardsConfig: context.rewardsConfig,
+      stake,
+      totalStake: context.totalStake,
+      periodLength: context.periodInfo.length,
+      meetsSla,
+      periodRewards,
+      tolerance: context.rewardTolerance,
+    });
+    console.log(
+      expectedRewards.matches
+        ? "✅ Earned rewards match the expected rewards"
+        : `⚠️  Earned rewards differ from the expected rewards by more than ${context.rewardTolerance}%`
+    );
+  }
+
+  // Step 7: value the rewards at the price of the day they were credited
+  let fiatValue = null;
+  if (prices && periodRewards !== null) {
+    fiatValue = valueRewards(
+      periodRewards,
+      context.creditedAt,
+      prices,
+      context.token
+    );
+    console.log(
+      fiatValue
+        ? `✅ Valued rewards at ${formatPrice(fiatValue.price)} ${
+            fiatValue.currency
+          } (price of ${fiatValue.priceDate})`
+        : `⚠️  No ${prices.currency} price for the rewards of period ${periodIndex}, they stay unvalued`
+    );
+  }
+
+  return {
+    ...context,
+    address,
+    stake,
+    eligibleRounds,
+    votes,
+    voteRatio,
+    meetsSla,
+    initialRewards,
+    finalRewards,
+    periodRewards,
+    rewardYield,
+    expectedRewards,
+    fiatValue,
+  };
+}
+
+/// Analyze the rewards earned by an address in a group for a single period,
+/// returning the same plain object as an entry of the JSON report
+export async function analyzeRewardPeriod({
+  api,
+  period,
+  group,
+  address,
+  blockHash,
+  indexerUrl,
+  cache,
+  rewardTolerance,
+}) {
+  const context = await resolvePeriodContext(api, period, group, {
+    blockHash,
+    indexerUrl,
+    cache,
+    rewardTolerance,
+    probe: { address, groupNs: group },
+  });
+  return serializeResult(
+    await analyzeAddress(api, context, address, { cache })
+  );
+}
@@ -0,0 +1,13 @@
+/// Connect to the Energy Web X parachain with the AvN type definitions
+export async function createApi(nodeUrl) {
+  // Loaded on connect only, so offline runs against a fixture don't need the type bundle
+  const [{ ApiPromise, WsProvider }, { default: avnTypes }] = await Promise.all(
+    [import("@polkadot/api"), import("avn-types")]
+  );
+
+  const provider = new WsProvider(nodeUrl);
+  return ApiPromise.create({
+    provider,
+    typesBundle: avnTypes,
+  });
+}
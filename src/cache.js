@@ -0,0 +1,121 @@
+import BN from "bn.js";
+import {
+  existsSync,
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from "fs";
+import { join } from "path";
+
+// Bump whenever the layout of the cache file changes, older files are ignored
+const CACHE_VERSION = 1;
+
+// Codecs for cached values that are not plain JSON
+export const BN_CODEC = {
+  encode: (value) => value.toString(),
+  decode: (value) => new BN(value),
+};
+export const REWARDS_CODEC = {
+  encode: (rewards) => [rewards[0].toString(), rewards[1].toString()],
+  decode: ([subscription, voting]) => [new BN(subscription), new BN(voting)],
+};
+
+/// Open the on-disk cache of finalized history for the chain with the given genesis hash
+export function openCache(dir, genesisHash) {
+  const path = join(dir, `${genesisHash}.json`);
+  let data = { version: CACHE_VERSION, genesisHash, periods: {}, storage: {} };
+
+  if (existsSync(path)) {
+    try {
+      const stored = JSON.parse(readFileSync(path, "utf8"));
+      if (stored.version === CACHE_VERSION) {
+        data = stored;
+      } else {
+        console.log(
+          `⚠️  Ignoring cache ${path} with unsupported version ${stored.version}`
+        );
+      }
+    } catch (error) {
+      console.log(`⚠️  Ignoring unreadable cache ${path}: ${error.message}`);
+    }
+  }
+
+  let dirty = false;
+
+  return {
+    path,
+    getPeriodBlocks(periodIndex) {
+      return data.periods[periodIndex] || null;
+    },
+    setPeriodBlocks(periodIndex, blocks) {
+      data.periods[periodIndex] = blocks;
+      dirty = true;
+    },
+    get(key) {
+      return data.storage[key];
+    },
+    set(key, value) {
+      data.storage[key] = value;
+      dirty = true;
+    },
+    save() {
+      if (!dirty) return;
+      try {
+        mkdirSync(dir, { recursive: true });
+        writeFileSync(path, JSON.stringify(data, null, 2));
+        dirty = false;
+      } catch (error) {
+        console.log(`⚠️  Failed to write cache ${path}: ${error.message}`);
+      }
+    },
+  };
+}
+
+/// Helper to read a value through the cache, fetching and storing it on a miss
+export async function cached(cache, key, fetch, codec) {
+  if (!cache) return fetch();
+
+  const hit = cache.get(key);
+  if (hit !== undefined) {
+    console.debug(`Cache hit for ${key}`);
+    return codec ? codec.decode(hit) : hit;
+  }
+
+  const value = await fetch();
+  cache.set(key, codec ? codec.encode(value) : value);
+  return value;
+}
+
+/// Summarize every cache file in the directory
+export function listCaches(dir) {
+  if (!existsSync(dir)) return [];
+
+  return readdirSync(dir)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => {
+      const path = join(dir, file);
+      try {
+        const data = JSON.parse(readFileSync(path, "utf8"));
+        return {
+          path,
+          genesisHash: data.genesisHash,
+          version: data.version,
+          periods: data.periods || {},
+          storageEntries: Object.keys(data.storage || {}).length,
+        };
+      } catch (error) {
+        return { path, error: error.message };
+      }
+    });
+}
+
+/// Remove every cache file in the directory, returns the number of files removed
+export function clearCaches(dir) {
+  const caches = listCaches(dir);
+  for (const { path } of caches) {
+    rmSync(path, { force: true });
+  }
+  return caches.length;
+}
@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+import { parseArgs } from "util";
+
+// Subcommands and the analysis MODE each one runs
+const COMMANDS = {
+  report: "report",
+  "find-block": "find-block",
+  group: "leaderboard",
+  history: "history",
+  "stake-history": "stake-history",
+  rounds: "rounds",
+  "sla-risk": "sla-risk",
+  watch: "watch",
+  serve: "serve",
+  metrics: "metrics",
+  cache: null,
+};
+
+// Actions of the cache command, which runs without connecting to the chain
+const CACHE_ACTIONS = ["show", "clear"];
+
+const OPTIONS = {
+  period: { type: "string" },
+  group: { type: "string" },
+  address: { type: "string", multiple: true },
+  "addresses-file": { type: "string" },
+  "node-url": { type: "string" },
+  "indexer-url": { type: "string" },
+  "block-hash": { type: "string" },
+  "scan-concurrency": { type: "string" },
+  tolerance: { type: "string" },
+  format: { type: "string" },
+  csv: { type: "string" },
+  markdown: { type: "string" },
+  html: { type: "string" },
+  precision: { type: "string" },
+  prices: { type: "string" },
+  currency: { type: "string" },
+  "fiat-summary": { type: "string" },
+  "cache-dir": { type: "string" },
+  "watch-dir": { type: "string" },
+  host: { type: "string" },
+  port: { type: "string" },
+  "alert-webhook": { type: "string" },
+  "alert-slack-webhook": { type: "string" },
+  "alert-deviation": { type: "string" },
+  "no-cache": { type: "boolean" },
+  fixture: { type: "string" },
+  record: { type: "string" },
+  replay: { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+const USAGE = `Usage: report-rewards [command] [options]
+
+Commands:
+  report        Analyze the rewards of one or more addresses (default)
+  find-block    Find the RewardsCalculatedForPeriod and initial state blocks
+  group         Rank every subscriber of a group by period reward
+  history       Print the per-period summary table for one or more addresses
+  stake-history Show the stake updates, subscriptions and eligible periods of addresses
+  rounds        Show how addresses voted in every voting round of a period
+  sla-risk      Project the SLA outcome of the active period, all subscribers without --address
+  watch         Report every period of the groups once its rewards are calculated
+  serve         Answer reward reports over an HTTP JSON API
+  metrics       Publish the last completed period of the groups as Prometheus metrics
+  cache show    List the cached reward calculation blocks and storage values
+  cache clear   Remove every cache file
+
+Options:
+  --period <n|start-end>   Reward period or range of periods (REWARD_PERIOD_INDEX/REWARD_PERIOD_END)
+  --group <namespace>      Solution group namespace (GROUP_NAMESPACE)
+  --address <ss58>         Address to analyze, repeatable or comma separated (ADDRESS/ADDRESSES)
+  --addresses-file <path>  File with one address per line (ADDRESSES_FILE)
+  --node-url <url>         RPC endpoint URL (NODE_URL)
+  --indexer-url <url>      GraphQL indexer URL (INDEXER_URL)
+  --block-hash <hash>      Known RewardsCalculatedForPeriod block (SPECIFIC_BLOCK_HASH)
+  --scan-concurrency <n>   Blocks fetched in parallel by the block search (SCAN_CONCURRENCY)
+  --tolerance <percent>    Allowed difference from the expected rewards (REWARD_TOLERANCE)
+  --format <text|json>     Output format (OUTPUT_FORMAT)
+  --precision <n>          Decimals shown for token amounts (AMOUNT_PRECISION, default 6)
+  --csv <path>             Write a CSV export (CSV_OUTPUT)
+  --markdown <path>        Write a Markdown export (MARKDOWN_OUTPUT)
+  --html <path>            Write an HTML trend report with charts (HTML_OUTPUT)
+  --prices <path>          Value the rewards with a CSV or JSON price table of date to price (PRICE_FILE)
+  --currency <code>        Currency of the price table (PRICE_CURRENCY, default USD)
+  --fiat-summary <path>    Write the yearly totals of the rewards and their fiat value as CSV (FIAT_SUMMARY_OUTPUT)
+  --cache-dir <path>       Cache directory (CACHE_DIR, default .report-rewards-cache)
+  --no-cache               Disable the cache for this run
+  --watch-dir <path>       Reports and state of the watch mode (WATCH_DIR, default reports)
+  --host <address>         Address the serve and metrics modes listen on (SERVER_HOST, default 127.0.0.1)
+  --port <n>               Port the serve and metrics modes listen on (SERVER_PORT, default 8080)
+  --alert-webhook <url>    Post alerts as JSON to a webhook (ALERT_WEBHOOK_URL)
+  --alert-slack-webhook <url>
+                           Post alerts to a Slack incoming webhook (ALERT_SLACK_WEBHOOK_URL)
+  --alert-deviation <percent>
+                           Alert on rewards this far from their trailing average (ALERT_REWARD_DEVIATION)
+  --fixture <path>         Run offline against a mock chain fixture (FIXTURE_FILE)
+  --record <path>          Record every chain response of the run as a fixture (RECORD_FILE)
+  --replay <path>          Replay a recorded fixture offline, same as --fixture (FIXTURE_FILE)
+  -h, --help               Show this help
+
+Flags override the environment and .env values shown in parentheses.`;
+
+/// Helper to turn the parsed flags into environment overrides
+function applyOverrides(command, values) {
+  const overrides = COMMANDS[command] ? { MODE: COMMANDS[command] } : {};
+
+  if (values.period !== undefined) {
+    const match = values.period.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) {
+      throw new Error(
+        `--period must be a number or a range like 600-630, but got: ${values.period}`
+      );
+    }
+    overrides.REWARD_PERIOD_INDEX = match[1];
+    overrides.REWARD_PERIOD_END = match[2] || match[1];
+    // A block hash from the environment belongs to whichever period was configured there
+    overrides.SPECIFIC_BLOCK_HASH = "";
+  }
+
+  if (values.address !== undefined || values["addresses-file"] !== undefined) {
+    // Explicit addresses replace every address source from the environment
+    overrides.ADDRESS = "";
+    overrides.ADDRESSES = (values.address || []).join(",");
+    overrides.ADDRESSES_FILE = values["addresses-file"] || "";
+  }
+
+  const flagsToEnv = {
+    group: "GROUP_NAMESPACE",
+    "node-url": "NODE_URL",
+    "indexer-url": "INDEXER_URL",
+    "block-hash": "SPECIFIC_BLOCK_HASH",
+    "scan-concurrency": "SCAN_CONCURRENCY",
+    tolerance: "REWARD_TOLERANCE",
+    format: "OUTPUT_FORMAT",
+    precision: "AMOUNT_PRECISION",
+    csv: "CSV_OUTPUT",
+    markdown: "MARKDOWN_OUTPUT",
+    html: "HTML_OUTPUT",
+    prices: "PRICE_FILE",
+    currency: "PRICE_CURRENCY",
+    "fiat-summary": "FIAT_SUMMARY_OUTPUT",
+    "cache-dir": "CACHE_DIR",
+    "watch-dir": "WATCH_DIR",
+    host: "SERVER_HOST",
+    port: "SERVER_PORT",
+    "alert-webhook": "ALERT_WEBHOOK_URL",
+    "alert-slack-webhook": "ALERT_SLACK_WEBHOOK_URL",
+    "alert-deviation": "ALERT_REWARD_DEVIATION",
+    fixture: "FIXTURE_FILE",
+    replay: "FIXTURE_FILE",
+    record: "RECORD_FILE",
+  };
+  for (const [flag, name] of Object.entries(flagsToEnv)) {
+    if (values[flag] !== undefined) overrides[name] = values[flag];
+  }
+
+  if (values["no-cache"]) overrides.CACHE_DIR = "";
+
+  // Set before the constants are loaded so dotenv doesn't replace them
+  Object.assign(process.env, overrides);
+}
+
+async function run() {
+  let command, action, values;
+  try {
+    const parsed = parseArgs({
+      args: process.argv.slice(2),
+      options: OPTIONS,
+      allowPositionals: true,
+    });
+    values = parsed.values;
+
+    if (values.help) {
+      console.log(USAGE);
+      return;
+    }
+
+    command = parsed.positionals[0] || "report";
+    if (!(command in COMMANDS)) {
+      throw new Error(`Unknown command: ${command}`);
+    }
+
+    if (command === "cache") {
+      action = parsed.positionals[1] || "show";
+      if (!CACHE_ACTIONS.includes(action) || parsed.positionals.length > 2) {
+        throw new Error(
+          `Expected cache ${CACHE_ACTIONS.join(
+            " or cache "
+          )}, but got: ${parsed.positionals.join(" ")}`
+        );
+      }
+    } else if (parsed.positionals.length > 1) {
+      throw new Error(
+        `Expected a single command, but got: ${parsed.positionals.join(" ")}`
+      );
+    }
+
+    applyOverrides(command, values);
+  } catch (error) {
+    console.error(`Error: ${error.message}\n`);
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const { main, runCacheCommand } = await import("./index.js");
+  if (command === "cache") {
+    runCacheCommand(action);
+  } else {
+    await main();
+  }
+}
+
+run();
@@ -5,6 +5,64 @@ export const NODE_URL =
   process.env.NODE_URL || "wss://public-rpc.mainnet.energywebx.com";
 export const INDEXER_URL = process.env.INDEXER_URL;
 export const REWARD_PERIOD_INDEX = Number(process.env.REWARD_PERIOD_INDEX);
+// Optional last period of a range, defaults to analyzing REWARD_PERIOD_INDEX only
+export const REWARD_PERIOD_END = process.env.REWARD_PERIOD_END
+  ? Number(process.env.REWARD_PERIOD_END)
+  : REWARD_PERIOD_INDEX;
 export const GROUP_NAMESPACE = process.env.GROUP_NAMESPACE;
 export const ADDRESS = process.env.ADDRESS;
+// Batch mode: comma or whitespace separated addresses, and/or a file with one address per line
+export const ADDRESSES = process.env.ADDRESSES;
+export const ADDRESSES_FILE = process.env.ADDRESSES_FILE;
 export const SPECIFIC_BLOCK_HASH = process.env.SPECIFIC_BLOCK_HASH;
+// Number of blocks fetched in parallel when scanning for RewardsCalculatedForPeriod
+export const SCAN_CONCURRENCY = Number(process.env.SCAN_CONCURRENCY || 8);
+// Allowed difference between the earned and the expected rewards, in percent of the expected amount
+export const REWARD_TOLERANCE = Number(process.env.REWARD_TOLERANCE || 0.1);
+// "report" analyzes the given addresses, "leaderboard" ranks every subscriber of the group,
+// "find-block" only locates the reward calculation blocks, "history" prints the per-period table,
+// "stake-history" shows the stake updates and subscriptions of the given addresses,
+// "rounds" shows how the given addresses voted in each voting round, "sla-risk" projects the
+// SLA outcome of the active period, "watch" reports every period once its rewards are calculated,
+// "serve" answers reward reports over HTTP, "metrics" publishes the last completed period to Prometheus
+export const MODE = process.env.MODE || "report";
+// "text" prints the console report, "json" prints one JSON document to stdout and logs to stderr
+export const OUTPUT_FORMAT = process.env.OUTPUT_FORMAT || "text";
+// Optional file paths for the spreadsheet-friendly exports, written alongside the report
+export const CSV_OUTPUT = process.env.CSV_OUTPUT;
+export const MARKDOWN_OUTPUT = process.env.MARKDOWN_OUTPUT;
+// Decimals shown for token amounts in the console and the HTML trend report
+export const AMOUNT_PRECISION = Number(process.env.AMOUNT_PRECISION || 6);
+// Optional path of the HTML trend report with charts over the analyzed periods
+export const HTML_OUTPUT = process.env.HTML_OUTPUT;
+// Optional CSV or JSON file of daily token prices, values every period's rewards at the day they were credited
+export const PRICE_FILE = process.env.PRICE_FILE;
+// Currency the prices of PRICE_FILE are quoted in, only used as a label
+export const PRICE_CURRENCY = process.env.PRICE_CURRENCY || "USD";
+// Optional path of the CSV with the yearly totals of the rewards and their fiat value
+export const FIAT_SUMMARY_OUTPUT = process.env.FIAT_SUMMARY_OUTPUT;
+// Directory of the on-disk cache of finalized history, an empty value disables it
+export const CACHE_DIR = process.env.CACHE_DIR ?? ".report-rewards-cache";
+// JSON fixture to run against a mock chain instead of NODE_URL
+export const FIXTURE_FILE = process.env.FIXTURE_FILE;
+// Fixture file written with every chain response of the run, replayable with FIXTURE_FILE
+export const RECORD_FILE = process.env.RECORD_FILE;
+// Directory of the reports and the state file written by the watch mode
+export const WATCH_DIR = process.env.WATCH_DIR ?? "reports";
+// Address and port the HTTP server of the serve and metrics modes listens on
+export const SERVER_HOST = process.env.SERVER_HOST || "127.0.0.1";
+export const SERVER_PORT = Number(process.env.SERVER_PORT || 8080);
+// Alert sinks, a generic JSON webhook and a Slack incoming webhook, either one turns alerting on
+export const ALERT_WEBHOOK_URL = process.env.ALERT_WEBHOOK_URL;
+export const ALERT_SLACK_WEBHOOK_URL = process.env.ALERT_SLACK_WEBHOOK_URL;
+// Alert when the period reward differs from the trailing average of the address by more percent
+export const ALERT_REWARD_DEVIATION = Number(
+  process.env.ALERT_REWARD_DEVIATION || 50
+);
+// Number of earlier periods the trailing average of the rewards is taken over
+export const ALERT_TRAILING_PERIODS = Number(
+  process.env.ALERT_TRAILING_PERIODS || 5
+);
+// File remembering the sent alerts and the recent rewards of every address
+export const ALERT_STATE_FILE =
+  process.env.ALERT_STATE_FILE || ".report-rewards-alerts.json";
@@ -0,0 +1,205 @@
+import { writeFileSync } from "fs";
+import { DEFAULT_TOKEN, formatDecimal } from "./format.js";
+import { formatFiat, formatPrice, summarizeFiatByYear } from "./prices.js";
+import { toHtml } from "./trend.js";
+
+/// Helper to build the columns shared by the CSV and Markdown writers, one row per
+/// (period, group, address), with the amounts in `token`
+function buildColumns(token) {
+  const { symbol } = token;
+  const decimal = (amount) => formatDecimal(amount, token);
+
+  return [
+    ["Period", (row) => row.periodIndex],
+    ["Group", (row) => row.groupNamespace],
+    ["Address", (row) => row.address],
+    ["Status", (row) => (row.error ? "error" : "ok")],
+    ["Stake", (row) => row.stake?.toString()],
+    [`Stake ${symbol}`, (row) => row.stake && decimal(row.stake)],
+    ["Eligible Rounds", (row) => row.eligibleRounds],
+    ["Correct Votes", (row) => row.votes],
+    ["Vote Ratio %", (row) => row.voteRatio?.toFixed(2)],
+    ["SLA Threshold %", (row) => row.slaPercentage],
+    ["Meets SLA", (row) => row.meetsSla ?? undefined],
+    ["Subscription Rewards", (row) => row.periodRewards?.[0].toString()],
+    [
+      `Subscription Rewards ${symbol}`,
+      (row) => row.periodRewards && decimal(row.periodRewards[0]),
+    ],
+    ["Voting Rewards", (row) => row.periodRewards?.[1].toString()],
+    [
+      `Voting Rewards ${symbol}`,
+      (row) => row.periodRewards && decimal(row.periodRewards[1]),
+    ],
+    ["Total Rewards", (row) => totalRewards(row)?.toString()],
+    [
+      `Total Rewards ${symbol}`,
+      (row) => totalRewards(row) && decimal(totalRewards(row)),
+    ],
+    [
+      `Reward per ${symbol} Staked`,
+      (row) => row.rewardYield?.rewardPerStake.toFixed(8),
+    ],
+    ["APR %", (row) => row.rewardYield?.apr.toFixed(2)],
+    ["Expected Rewards", (row) => expectedTotal(row)?.toString()],
+    [
+      `Expected Rewards ${symbol}`,
+      (row) => expectedTotal(row) && decimal(expectedTotal(row)),
+    ],
+    [
+      "Reward Check",
+      (row) =>
+        row.expectedRewards &&
+        (row.expectedRewards.matches ? "ok" : "mismatch"),
+    ],
+    [
+      "Credited At",
+      (row) => row.creditedAt && new Date(row.creditedAt).toISOString(),
+    ],
+    ["Fiat Currency", (row) => row.fiatValue?.currency],
+    ["Price Date", (row) => row.fiatValue?.priceDate],
+    ["Price", (row) => row.fiatValue && formatPrice(row.fiatValue.price)],
+    [
+      "Subscription Rewards Fiat",
+      (row) => row.fiatValue && formatFiat(row.fiatValue.subscription),
+    ],
+    [
+      "Voting Rewards Fiat",
+      (row) => row.fiatValue && formatFiat(row.fiatValue.voting),
+    ],
+    [
+      "Total Rewards Fiat",
+      (row) => row.fiatValue && formatFiat(row.fiatValue.total),
+    ],
+    ["Error", (row) => row.error],
+  ];
+}
+
+/// Helper to build the columns of the yearly fiat summary, one row per (year, group, address)
+function buildFiatSummaryColumns(token) {
+  const { symbol } = token;
+  const decimal = (amount) => formatDecimal(amount, token);
+
+  return [
+    ["Year", (row) => row.year],
+    ["Group", (row) => row.group],
+    ["Address", (row) => row.address],
+    ["Periods", (row) => row.periods],
+    ["Unpriced Periods", (row) => row.unpriced],
+    [`Subscription Rewards ${symbol}`, (row) => decimal(row.rewards[0])],
+    [`Voting Rewards ${symbol}`, (row) => decimal(row.rewards[1])],
+    [
+      `Total Rewards ${symbol}`,
+      (row) => decimal(row.rewards[0].add(row.rewards[1])),
+    ],
+    ["Fiat Currency", (row) => row.currency],
+    ["Subscription Rewards Fiat", (row) => formatFiat(row.fiat.subscription)],
+    ["Voting Rewards Fiat", (row) => formatFiat(row.fiat.voting)],
+    ["Total Rewards Fiat", (row) => formatFiat(row.fiat.total)],
+  ];
+}
+
+/// Helper to add up the subscription and voting rewards of a row
+function totalRewards(row) {
+  return row.periodRewards && row.periodRewards[0].add(row.periodRewards[1]);
+}
+
+/// Helper to add up the expected subscription and voting rewards of a row
+function expectedTotal(row) {
+  const expected = row.expectedRewards?.expected;
+  return expected && expected[0].add(expected[1]);
+}
+
+/// Helper to turn analysis results into rows of display values
+function buildRows(results, groupNamespace, columns) {
+  return results.map((result) =>
+    columns.map(([, getValue]) => {
+      const value = getValue({ groupNamespace, ...result });
+      return value === undefined || value === null ? "" : String(value);
+    })
+  );
+}
+
+/// Helper to quote a CSV field when it contains a separator, quote or newline
+function escapeCsv(value) {
+  return /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/// CSV writer, one header line followed by one line per result
+export function toCsv(results, groupNamespace, token = DEFAULT_TOKEN) {
+  const columns = buildColumns(token);
+  const lines = [
+    columns.map(([title]) => title),
+    ...buildRows(results, groupNamespace, columns),
+  ];
+  return lines.map((line) => line.map(escapeCsv).join(",")).join("\n") + "\n";
+}
+
+/// CSV writer of the yearly totals of the rewards and their fiat value
+export function toFiatSummaryCsv(results, token = DEFAULT_TOKEN) {
+  const columns = buildFiatSummaryColumns(token);
+  const lines = [
+    columns.map(([title]) => title),
+    ...summarizeFiatByYear(results).map((summary) =>
+      columns.map(([, getValue]) => String(getValue(summary) ?? ""))
+    ),
+  ];
+  return lines.map((line) => line.map(escapeCsv).join(",")).join("\n") + "\n";
+}
+
+/// Markdown table writer with the same columns as the CSV export
+export function toMarkdown(results, groupNamespace, token = DEFAULT_TOKEN) {
+  const columns = buildColumns(token);
+  const escapeCell = (value) => value.replace(/\|/g, "\\|").replace(/\n/g, " ");
+  const formatLine = (values) => `| ${values.map(escapeCell).join(" | ")} |`;
+
+  return (
+    [
+      formatLine(columns.map(([title]) => title)),
+      formatLine(columns.map(() => "---")),
+      ...buildRows(results, groupNamespace, columns).map(formatLine),
+    ].join("\n") + "\n"
+  );
+}
+
+/// Write the CSV, Markdown, HTML trend and/or yearly fiat summary exports to the configured paths,
+/// with the amounts in `token`. `precision` applies to the HTML trend, the others keep 6 decimals
+export function writeExports(
+  results,
+  groupNamespace,
+  {
+    csvPath,
+    markdownPath,
+    htmlPath,
+    fiatSummaryPath,
+    token = DEFAULT_TOKEN,
+    precision,
+  }
+) {
+  try {
+    if (csvPath) {
+      writeFileSync(csvPath, toCsv(results, groupNamespace, token));
+      console.log(`📄 Wrote CSV report to ${csvPath}`);
+    }
+
+    if (markdownPath) {
+      writeFileSync(markdownPath, toMarkdown(results, groupNamespace, token));
+      console.log(`📄 Wrote Markdown report to ${markdownPath}`);
+    }
+
+    if (htmlPath) {
+      writeFileSync(
+        htmlPath,
+        toHtml(results, groupNamespace, { token, precision })
+      );
+      console.log(`📈 Wrote HTML trend report to ${htmlPath}`);
+    }
+
+    if (fiatSummaryPath) {
+      writeFileSync(fiatSummaryPath, toFiatSummaryCsv(results, token));
+      console.log(`💱 Wrote yearly fiat summary to ${fiatSummaryPath}`);
+    }
+  } catch (error) {
+    throw new Error(`Failed to write report export: ${error.message}`);
+  }
+}
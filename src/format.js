@@ -0,0 +1,51 @@
+import BN from "bn.js";
+
+// Token amounts are formatted in when no token is given, the native token of EWX
+export const DEFAULT_TOKEN = { decimals: 18, symbol: "EWT" };
+// Decimals shown when no precision is given
+const DEFAULT_PRECISION = 6;
+
+/// Read the decimals and symbol of the native token from the chain properties
+export function getChainToken(api) {
+  return {
+    decimals: Number(api.registry.chainDecimals[0]),
+    symbol: String(api.registry.chainTokens[0]),
+  };
+}
+
+/// Format a raw amount in whole tokens. Decimals beyond the precision are cut off, not rounded,
+/// so an amount never shows more than was paid
+export function formatAmount(
+  amount,
+  {
+    token = DEFAULT_TOKEN,
+    precision = DEFAULT_PRECISION,
+    separator = ",",
+    withSymbol = false,
+  } = {}
+) {
+  const { decimals, symbol } = token;
+  const absolute = amount.abs();
+  const unit = new BN(10).pow(new BN(decimals));
+
+  const whole = absolute
+    .div(unit)
+    .toString()
+    .replace(/\B(?=(\d{3})+(?!\d))/g, separator);
+  const fraction = absolute
+    .mod(unit)
+    .toString()
+    .padStart(decimals, "0")
+    .slice(0, precision)
+    .padEnd(precision, "0");
+
+  // Only amounts that still show a digit keep their sign, so nothing renders as "-0.000000"
+  const shown = precision > 0 ? `${whole}.${fraction}` : whole;
+  const sign = amount.isNeg() && /[1-9]/.test(shown) ? "-" : "";
+  return `${sign}${shown}${withSymbol ? ` ${symbol}` : ""}`;
+}
+
+/// Format a raw amount as a plain number with 6 decimals, for the machine-readable outputs
+export function formatDecimal(amount, token = DEFAULT_TOKEN) {
+  return formatAmount(amount, { token, precision: 6, separator: "" });
+}
@@ -1,24 +1,155 @@
-import { ApiPromise, WsProvider } from "@polkadot/api";
-import avnTypes from "avn-types";
 import BN from "bn.js";
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "fs";
+import { join } from "path";
 import {
   NODE_URL,
+  INDEXER_URL,
   REWARD_PERIOD_INDEX,
+  REWARD_PERIOD_END,
   GROUP_NAMESPACE,
   ADDRESS,
+  ADDRESSES,
+  ADDRESSES_FILE,
   SPECIFIC_BLOCK_HASH,
+  MODE,
+  OUTPUT_FORMAT,
+  CSV_OUTPUT,
+  MARKDOWN_OUTPUT,
+  HTML_OUTPUT,
+  AMOUNT_PRECISION,
+  CACHE_DIR,
+  SCAN_CONCURRENCY,
+  REWARD_TOLERANCE,
+  FIXTURE_FILE,
+  RECORD_FILE,
+  WATCH_DIR,
+  SERVER_HOST,
+  SERVER_PORT,
+  ALERT_WEBHOOK_URL,
+  ALERT_SLACK_WEBHOOK_URL,
+  ALERT_REWARD_DEVIATION,
+  ALERT_TRAILING_PERIODS,
+  ALERT_STATE_FILE,
+  PRICE_FILE,
+  PRICE_CURRENCY,
+  FIAT_SUMMARY_OUTPUT,
 } from "./constants.js";
+import { DEFAULT_TOKEN, formatAmount } from "./format.js";
+import { buildJsonReport } from "./json.js";
+import { writeExports } from "./export.js";
+import { createApi } from "./api.js";
+import { createMockApi, loadFixture } from "./mock-chain.js";
+import { startMockIndexer } from "./mock-indexer.js";
+import { createRecorder, startRecordingIndexer } from "./recorder.js";
+import {
+  analyzeAddress,
+  getGroupSubscribers,
+  rankResults,
+  getStakeHistory,
+  getVotingRounds,
+  buildVotingTimeline,
+  getLiveVotingContext,
+  analyzeSlaRisk,
+  resolvePeriodBlocks,
+  resolvePeriodContext,
+} from "./analysis.js";
+import { cached, clearCaches, listCaches, openCache } from "./cache.js";
+import { watchRewards } from "./watch.js";
+import { startRewardsServer } from "./server.js";
+import { startMetricsServer } from "./metrics.js";
+import {
+  createSlackSink,
+  createWebhookSink,
+  openAlertState,
+  processAlerts,
+} from "./alerts.js";
+import {
+  formatFiat,
+  formatPrice,
+  loadPriceSeries,
+  summarizeFiatByYear,
+} from "./prices.js";
+
+const MODES = [
+  "report",
+  "leaderboard",
+  "find-block",
+  "history",
+  "stake-history",
+  "rounds",
+  "sla-risk",
+  "watch",
+  "serve",
+  "metrics",
+];
+// Modes that analyze the given addresses
+const ADDRESS_MODES = ["report", "history", "stake-history", "rounds"];
+// Modes that follow the active period at the best block instead of REWARD_PERIOD_INDEX
+const LIVE_MODES = ["sla-risk", "watch", "serve", "metrics"];
+const OUTPUT_FORMATS = ["text", "json"];
+// Modes whose reward results are checked for alerts
+const ALERT_MODES = ["report", "history", "leaderboard", "watch"];
+// Modes whose rewards can be valued with PRICE_FILE
+const FIAT_MODES = ["report", "history", "leaderboard"];
+
+/// Helper to create the formatter of amounts in a token, with the configured precision
+function createAmountFormatter(token) {
+  return (amount, options = {}) =>
+    formatAmount(amount, { token, precision: AMOUNT_PRECISION, ...options });
+}
+
+/// Helper to pick the token of a run's results, which all come from the same chain
+function getResultsToken(results) {
+  return results.find((result) => result.token)?.token ?? DEFAULT_TOKEN;
+}
+
+/// Helper to collect the operator addresses from ADDRESS, ADDRESSES and ADDRESSES_FILE
+function loadAddresses() {
+  const addresses = [];
+
+  if (ADDRESS && ADDRESS.trim() !== "") {
+    addresses.push(ADDRESS.trim());
+  }
+
+  if (ADDRESSES) {
+    addresses.push(...ADDRESSES.split(/[\s,]+/));
+  }
+
+  if (ADDRESSES_FILE) {
+    let content;
+    try {
+      content = readFileSync(ADDRESSES_FILE, "utf8");
+    } catch (error) {
+      throw new Error(
+        `Failed to read ADDRESSES_FILE ${ADDRESSES_FILE}: ${error.message}`
+      );
+    }
+
+    // One address per line, lines starting with # are comments
+    for (const line of content.split("\n")) {
+      const address = line.trim();
+      if (address !== "" && !address.startsWith("#")) {
+        addresses.push(address);
+      }
+    }
+  }
+
+  // Drop empty entries and duplicates while keeping the given order
+  return [...new Set(addresses.filter((address) => address !== ""))];
+}
 
 /// Validation
-async function validateInput(api) {
+function validateInput(addresses) {
   console.log("🔍 Validating input parameters...");
+  const needsPeriod = !LIVE_MODES.includes(MODE);
 
   // Check for undefined or invalid required parameters
   if (
-    REWARD_PERIOD_INDEX === undefined ||
-    REWARD_PERIOD_INDEX === null ||
-    isNaN(REWARD_PERIOD_INDEX) ||
-    REWARD_PERIOD_INDEX <= 0
+    needsPeriod &&
+    (REWARD_PERIOD_INDEX === undefined ||
+      REWARD_PERIOD_INDEX === null ||
+      isNaN(REWARD_PERIOD_INDEX) ||
+      REWARD_PERIOD_INDEX <= 0)
   ) {
     throw new Error(
       "REWARD_PERIOD_INDEX is required and must be a positive number, but got: " +
@@ -26,10 +157,13 @@ async function validateInput(api) {
     );
   }
 
+  // Finding the reward calculation block doesn't depend on the group, the server takes it from the URL
   if (
-    !GROUP_NAMESPACE ||
-    typeof GROUP_NAMESPACE !== "string" ||
-    GROUP_NAMESPACE.trim() === ""
+    MODE !== "find-block" &&
+    MODE !== "serve" &&
+    (!GROUP_NAMESPACE ||
+      typeof GROUP_NAMESPACE !== "string" ||
+      GROUP_NAMESPACE.trim() === "")
   ) {
     throw new Error(
       "GROUP_NAMESPACE is required and must be a non-empty string, but got: " +
@@ -37,1087 +171,1724 @@ async function validateInput(api) {
     );
   }
 
-  if (!ADDRESS || typeof ADDRESS !== "string" || ADDRESS.trim() === "") {
+  if (!MODES.includes(MODE)) {
     throw new Error(
-      "ADDRESS is required and must be a non-empty string, but got: " + ADDRESS
+      `MODE must be one of ${MODES.join(", ")}, but got: ${MODE}`
     );
   }
 
-  console.log("✅ All required parameters are defined");
-  console.log(`   REWARD_PERIOD_INDEX: ${REWARD_PERIOD_INDEX}`);
-  console.log(`   GROUP_NAMESPACE: ${GROUP_NAMESPACE}`);
-  console.log(`   ADDRESS: ${ADDRESS}`);
-
-  // Check if ADDRESS was subscribed for REWARD_PERIOD_INDEX to GROUP_NAMESPACE
-  console.log("🔍 Checking subscription status...");
-
-  try {
-    // Get the current active reward period info to determine the block for the requested period
-    const activeRewardPeriodInfo =
-      await api.query.workerNodePallet.activeRewardPeriodInfo();
-    const currentPeriod = activeRewardPeriodInfo.toJSON();
-
-    // Calculate the block number for the requested period
-    const periodsBack = currentPeriod.index - REWARD_PERIOD_INDEX;
-    const periodStartBlock =
-      currentPeriod.firstBlock - periodsBack * currentPeriod.length;
-
-    // Get the block hash for the start of the requested period
-    const periodBlockHash = await api.rpc.chain.getBlockHash(periodStartBlock);
-
-    console.log(
-      `   Querying stake record at block ${periodStartBlock} (${periodBlockHash})`
+  if (!OUTPUT_FORMATS.includes(OUTPUT_FORMAT)) {
+    throw new Error(
+      `OUTPUT_FORMAT must be one of ${OUTPUT_FORMATS.join(
+        ", "
+      )}, but got: ${OUTPUT_FORMAT}`
     );
+  }
 
-    // Query the SolutionGroupStakeRecords storage item
-    // StorageDoubleMap: (SolutionGroupNamespace, AccountId) -> StakeRecord
-    const stakeRecord =
-      await api.query.workerNodePallet.solutionGroupStakeRecords.at(
-        periodBlockHash,
-        GROUP_NAMESPACE,
-        ADDRESS
-      );
-
-    if (stakeRecord.isNone) {
-      throw new Error(
-        `Address ${ADDRESS} was not subscribed to group ${GROUP_NAMESPACE} in period ${REWARD_PERIOD_INDEX}`
-      );
-    }
-
-    // Decode the stake record to check the stake for the specific period
-    const stakeRecordData = stakeRecord.unwrap();
-
-    // The StakeRecord is a BoundedBTreeMap<RewardPeriodIndex, Stake>
-    // The key represents the LAST UPDATE period, and the value is the current stake amount
-    // This stake amount applies to all periods from the last update onwards
-    let hasValidStake = false;
-    let stakeValue = new BN(0);
-    let lastUpdatePeriod = 0;
-
-    try {
-      // Parse the human-readable format of the stake record
-      const stakeRecordHuman = stakeRecordData.toHuman();
-
-      if (stakeRecordHuman && typeof stakeRecordHuman === "object") {
-        // Find the highest period (most recent update) in the stake record
-        for (const [period, stake] of Object.entries(stakeRecordHuman)) {
-          const periodNum = parseInt(period);
-          if (periodNum > lastUpdatePeriod) {
-            lastUpdatePeriod = periodNum;
-
-            // Parse the stake value using BN for large numbers
-            if (typeof stake === "string" && stake.startsWith("0x")) {
-              stakeValue = new BN(stake, 16);
-            } else {
-              stakeValue = new BN(stake.toString().replace(/,/g, "")); // Remove commas and parse
-            }
-          }
-        }
+  if (ADDRESS_MODES.includes(MODE) && addresses.length === 0) {
+    throw new Error(
+      "ADDRESS, ADDRESSES or ADDRESSES_FILE is required and must contain at least one address"
+    );
+  }
 
-        // Check if the requested period is >= the last update period
-        // and if the stake amount is > 0
-        if (
-          REWARD_PERIOD_INDEX >= lastUpdatePeriod &&
-          stakeValue.gt(new BN(0))
-        ) {
-          hasValidStake = true;
-          console.log(
-            `   Last stake update was in period ${lastUpdatePeriod}, current stake: ${stakeValue.toString()}`
-          );
-          console.log(
-            `   Requested period ${REWARD_PERIOD_INDEX} is >= last update period, subscription is valid`
-          );
-        } else {
-          console.log(
-            `   Last stake update was in period ${lastUpdatePeriod}, current stake: ${stakeValue.toString()}`
-          );
-          console.log(
-            `   Requested period ${REWARD_PERIOD_INDEX} is < last update period or stake is 0, subscription is invalid`
-          );
-        }
-      }
-    } catch (parseError) {
-      console.log(`   Error parsing stake record: ${parseError.message}`);
-      // If we can't parse it, assume no valid stake
-      hasValidStake = false;
-    }
+  if (
+    needsPeriod &&
+    (isNaN(REWARD_PERIOD_END) || REWARD_PERIOD_END < REWARD_PERIOD_INDEX)
+  ) {
+    throw new Error(
+      "REWARD_PERIOD_END must be a number greater than or equal to REWARD_PERIOD_INDEX, but got: " +
+        REWARD_PERIOD_END
+    );
+  }
 
-    if (!hasValidStake) {
-      throw new Error(
-        `Address ${ADDRESS} was not subscribed to group ${GROUP_NAMESPACE} in period ${REWARD_PERIOD_INDEX} ` +
-          `(stake: ${stakeValue.toString()})`
-      );
-    }
+  if (!Number.isInteger(SCAN_CONCURRENCY) || SCAN_CONCURRENCY <= 0) {
+    throw new Error(
+      "SCAN_CONCURRENCY must be a positive integer, but got: " +
+        SCAN_CONCURRENCY
+    );
+  }
 
-    console.log(
-      `   ✅ Address was subscribed with stake: ${stakeValue.toString()}`
+  if (!Number.isInteger(AMOUNT_PRECISION) || AMOUNT_PRECISION < 0) {
+    throw new Error(
+      "AMOUNT_PRECISION must be a non-negative integer, but got: " +
+        AMOUNT_PRECISION
     );
-  } catch (error) {
-    if (error.message.includes("was not subscribed")) {
-      throw error; // Re-throw subscription validation errors
-    }
-    throw new Error(`Failed to validate subscription: ${error.message}`);
   }
 
-  console.log("✅ Input validation completed");
-}
+  if (isNaN(REWARD_TOLERANCE) || REWARD_TOLERANCE < 0) {
+    throw new Error(
+      "REWARD_TOLERANCE must be a non-negative number, but got: " +
+        REWARD_TOLERANCE
+    );
+  }
 
-/// Helper to find the required blocks for a period
-async function findBlockForPeriod(api, periodIndex) {
-  // Step 1: Get the current active reward period info
-  const activeRewardPeriodInfo =
-    await api.query.workerNodePallet.activeRewardPeriodInfo();
-  const currentPeriod = activeRewardPeriodInfo.toJSON();
+  if (
+    needsPeriod &&
+    SPECIFIC_BLOCK_HASH &&
+    REWARD_PERIOD_END !== REWARD_PERIOD_INDEX
+  ) {
+    throw new Error(
+      "SPECIFIC_BLOCK_HASH can only be used when analyzing a single period, but got range: " +
+        `${REWARD_PERIOD_INDEX}-${REWARD_PERIOD_END}`
+    );
+  }
 
-  console.debug(`Current active reward period:`, currentPeriod);
-  console.debug(`Requested period: ${periodIndex}`);
-  console.debug(`Periods difference: ${currentPeriod.index - periodIndex}`);
+  if (RECORD_FILE && FIXTURE_FILE) {
+    throw new Error(
+      "RECORD_FILE and FIXTURE_FILE can't be combined, a replayed run has nothing to record"
+    );
+  }
 
-  if (periodIndex > currentPeriod.index) {
+  if (RECORD_FILE && (MODE === "watch" || MODE === "metrics")) {
     throw new Error(
-      `Requested period ${periodIndex} is in the future. Current period is ${currentPeriod.index}`
+      `RECORD_FILE can't be used with MODE=${MODE}, record the reports of single periods instead`
     );
   }
 
-  // Step 2: find the block in the *next* period when RewardsCalculatedForPeriod(periodIndex) was emitted
-  // We need to scan forward from the period after the requested one
-  const nextPeriodIndex = periodIndex + 1;
+  if ((PRICE_FILE || FIAT_SUMMARY_OUTPUT) && !FIAT_MODES.includes(MODE)) {
+    throw new Error(
+      `PRICE_FILE and FIAT_SUMMARY_OUTPUT can't be used with MODE=${MODE}, use one of: ${FIAT_MODES.join(
+        ", "
+      )}`
+    );
+  }
 
-  if (nextPeriodIndex > currentPeriod.index) {
+  if (FIAT_SUMMARY_OUTPUT && !PRICE_FILE) {
     throw new Error(
-      `Period ${periodIndex} is the current period (${currentPeriod.index}) or in the future. ` +
-        `RewardsCalculatedForPeriod event has not been emitted yet.`
+      "FIAT_SUMMARY_OUTPUT requires PRICE_FILE to value the rewards"
     );
   }
 
-  // Calculate the block range for the next period
-  // First, calculate the start block of the requested period
-  const requestedPeriodStartBlock =
-    currentPeriod.firstBlock -
-    (currentPeriod.index - periodIndex) * currentPeriod.length;
+  if (MODE === "watch" && !WATCH_DIR) {
+    throw new Error("WATCH_DIR is required in watch mode");
+  }
 
-  // Then, the next period starts right after the requested period ends
-  const nextPeriodStartBlock = requestedPeriodStartBlock + currentPeriod.length;
-  const nextPeriodEndBlock = nextPeriodStartBlock + currentPeriod.length - 1;
+  if (isNaN(ALERT_REWARD_DEVIATION) || ALERT_REWARD_DEVIATION < 0) {
+    throw new Error(
+      "ALERT_REWARD_DEVIATION must be a non-negative number, but got: " +
+        ALERT_REWARD_DEVIATION
+    );
+  }
 
-  console.debug(
-    `Requested period ${periodIndex} starts at block ${requestedPeriodStartBlock}`
-  );
-  console.debug(
-    `Next period ${nextPeriodIndex} starts at block ${nextPeriodStartBlock}`
-  );
+  if (
+    !Number.isInteger(ALERT_TRAILING_PERIODS) ||
+    ALERT_TRAILING_PERIODS <= 0
+  ) {
+    throw new Error(
+      "ALERT_TRAILING_PERIODS must be a positive integer, but got: " +
+        ALERT_TRAILING_PERIODS
+    );
+  }
 
-  // Count SystemVotingRounds in the previous period to determine minimum processing time
-  const previousPeriodIndex = periodIndex - 1;
-  let startBlock = nextPeriodStartBlock;
+  if (
+    (MODE === "serve" || MODE === "metrics") &&
+    (!Number.isInteger(SERVER_PORT) || SERVER_PORT < 0 || SERVER_PORT > 65535)
+  ) {
+    throw new Error(
+      "SERVER_PORT must be a port number between 0 and 65535, but got: " +
+        SERVER_PORT
+    );
+  }
 
-  if (previousPeriodIndex >= 0) {
-    try {
-      console.debug(
-        `\n🔍 Counting SystemVotingRounds in previous period ${previousPeriodIndex}...`
-      );
+  console.log("✅ All required parameters are defined");
+  if (needsPeriod) {
+    console.log(`   REWARD_PERIOD_INDEX: ${REWARD_PERIOD_INDEX}`);
+  }
+  if (needsPeriod && REWARD_PERIOD_END !== REWARD_PERIOD_INDEX) {
+    console.log(`   REWARD_PERIOD_END: ${REWARD_PERIOD_END}`);
+  }
+  if (MODE !== "find-block" && MODE !== "serve") {
+    console.log(`   GROUP_NAMESPACE: ${GROUP_NAMESPACE}`);
+  }
+  console.log(`   MODE: ${MODE}`);
+  // The leaderboard analyzes every subscriber of the group instead of the given addresses
+  if (ADDRESS_MODES.includes(MODE)) {
+    if (addresses.length === 1) {
+      console.log(`   ADDRESS: ${addresses[0]}`);
+    } else {
+      console.log(`   ADDRESSES: ${addresses.length} addresses`);
+    }
+  }
+  console.log("✅ Input validation completed");
+}
 
-      // Get the last block of the previous period
-      const previousPeriodStartBlock =
-        requestedPeriodStartBlock - currentPeriod.length;
-      const previousPeriodEndBlock = requestedPeriodStartBlock - 1;
+/// Helper to total the successful rows of a summary
+function summarizeResults(results) {
+  const totals = {
+    subscription: new BN(0),
+    voting: new BN(0),
+    eligibleRounds: 0,
+    votes: 0,
+    meetsSla: 0,
+    analyzed: 0,
+    failed: 0,
+    rewardPerStake: 0,
+    apr: 0,
+    withYield: 0,
+    discrepancies: 0,
+    checked: 0,
+  };
+
+  for (const result of results) {
+    if (result.error) {
+      totals.failed++;
+      continue;
+    }
 
-      console.debug(
-        `Previous period ${previousPeriodIndex} blocks: ${previousPeriodStartBlock} to ${previousPeriodEndBlock}`
-      );
+    totals.analyzed++;
+    totals.subscription = totals.subscription.add(result.periodRewards[0]);
+    totals.voting = totals.voting.add(result.periodRewards[1]);
+    totals.eligibleRounds += result.eligibleRounds;
+    totals.votes += result.votes;
+    if (result.meetsSla) totals.meetsSla++;
+    if (result.rewardYield) {
+      totals.rewardPerStake += result.rewardYield.rewardPerStake;
+      totals.apr += result.rewardYield.apr;
+      totals.withYield++;
+    }
+    if (result.expectedRewards) {
+      totals.checked++;
+      if (!result.expectedRewards.matches) totals.discrepancies++;
+    }
+  }
 
-      // Query at the end of the previous period to get the total count
-      const previousPeriodEndHash = await api.rpc.chain.getBlockHash(
-        previousPeriodEndBlock
-      );
+  totals.voteRatio = totals.eligibleRounds
+    ? ((totals.votes / totals.eligibleRounds) * 100).toFixed(2)
+    : "N/A";
 
-      // Count all SystemVotingRound entries for the previous period
-      const previousPeriodSystemVotingRounds =
-        await api.query.workerNodePallet.systemVotingRound.entriesAt(
-          previousPeriodEndHash,
-          previousPeriodIndex
-        );
+  // Averages over the periods, so periods with different stakes weigh the same
+  totals.averageRewardPerStake = totals.withYield
+    ? (totals.rewardPerStake / totals.withYield).toFixed(8)
+    : "N/A";
+  totals.averageApr = totals.withYield
+    ? (totals.apr / totals.withYield).toFixed(2)
+    : "N/A";
 
-      const totalSystemVotingRounds = previousPeriodSystemVotingRounds.length;
-      console.debug(
-        `Found ${totalSystemVotingRounds} SystemVotingRounds in previous period ${previousPeriodIndex}`
-      );
+  return totals;
+}
 
-      // Calculate start block: start of next period + minimum processing time
-      // The system needs at least this many blocks to process all voting rounds
-      startBlock = nextPeriodStartBlock + totalSystemVotingRounds;
+/// Helper to print fixed-width table rows
+function createRowFormatter(columns) {
+  return (values) =>
+    values.map((value, i) => String(value).padEnd(columns[i][1])).join("");
+}
 
-      console.debug(
-        `Search start: block ${startBlock} (${nextPeriodStartBlock} + ${totalSystemVotingRounds} SystemVotingRounds)`
-      );
-      console.debug(
-        `This reduces search range from ${
-          nextPeriodEndBlock - nextPeriodStartBlock + 1
-        } blocks to ${nextPeriodEndBlock - startBlock + 1} blocks`
-      );
+/// Report output for a single period
+function printPeriodReport(result) {
+  const {
+    periodIndex,
+    address,
+    periodInfo,
+    groupInfo,
+    eligibleRounds,
+    votes,
+    slaPercentage,
+    voteRatio,
+    meetsSla,
+    initialRewards,
+    finalRewards,
+    periodRewards,
+    stake,
+    blockTime,
+    rewardYield,
+    expectedRewards,
+    creditedAt,
+    fiatValue,
+    token,
+  } = result;
+  const formatTokens = createAmountFormatter(token);
+
+  console.log("\n" + "=".repeat(60));
+  console.log("REWARD PERIOD ANALYSIS REPORT");
+  console.log("=".repeat(60));
+  console.log("Reward Period Index:", periodIndex);
+  console.log("Group Namespace:", GROUP_NAMESPACE);
+  console.log("Address:", address);
+  console.log("-".repeat(60));
+
+  if (periodInfo) {
+    console.log("Period Info:", JSON.stringify(periodInfo, null, 2));
+  }
 
-      // Ensure we don't go beyond the end of the next period
-      if (startBlock > nextPeriodEndBlock) {
-        console.debug(
-          `⚠️  Start block ${startBlock} exceeds period end ${nextPeriodEndBlock}, using period start instead`
-        );
-        startBlock = nextPeriodStartBlock;
-      }
-    } catch (error) {
-      throw new Error(`⚠️  Start block search failed: ${error.message}`);
-    }
+  if (groupInfo) {
+    console.log("Group Info:", JSON.stringify(groupInfo, null, 2));
   }
 
-  console.debug(
-    `Scanning blocks ${startBlock} to ${nextPeriodEndBlock} for RewardsCalculatedForPeriod event`
+  console.log("-".repeat(60));
+  console.log(
+    "Eligible Rounds:",
+    eligibleRounds !== null ? eligibleRounds : "N/A"
+  );
+  console.log("Correct Votes Submitted:", votes !== null ? votes : "N/A");
+  console.log(
+    "SLA Threshold %:",
+    slaPercentage !== null ? slaPercentage : "N/A"
   );
 
-  // Walk through blocks from the optimized start point until the event is found
-  for (
-    let blockNumber = startBlock;
-    blockNumber <= nextPeriodEndBlock;
-    blockNumber++
-  ) {
-    console.debug(`🔍 Scanning block ${blockNumber}...`);
-    try {
-      const blockHash = await api.rpc.chain.getBlockHash(blockNumber);
-      const events = await api.query.system.events.at(blockHash);
-
-      for (const { event } of events) {
-        if (
-          event.section === "workerNodePallet" &&
-          event.method === "RewardsCalculatedForPeriod" &&
-          event.data[0].toNumber() === periodIndex
-        ) {
-          console.debug(
-            `Found RewardsCalculatedForPeriod event for period ${periodIndex} at block ${blockNumber}`
-          );
-          return blockHash.toString();
-        }
-      }
-    } catch (error) {
-      console.debug(`Could not query block ${blockNumber}: ${error.message}`);
-      continue; // Skip this block and continue with the next one
-    }
+  if (voteRatio !== null) {
+    console.log("Vote Ratio %:", voteRatio.toFixed(2));
+    console.log("Meets SLA:", meetsSla ? "✅ YES" : "❌ NO");
+  } else {
+    console.log("Vote Ratio %: N/A (insufficient data)");
+    console.log("Meets SLA: N/A");
   }
+  console.log("-".repeat(60));
+
+  console.log("Initial Rewards:");
+  console.log(
+    `  Subscription: ${initialRewards[0].toString()} (${formatTokens(
+      initialRewards[0],
+      { withSymbol: true }
+    )})`
+  );
+  console.log(
+    `  Voting: ${initialRewards[1].toString()} (${formatTokens(
+      initialRewards[1],
+      { withSymbol: true }
+    )})`
+  );
 
-  throw new Error(
-    `No RewardsCalculatedForPeriod event found for period ${periodIndex} in the optimized search range ${startBlock}-${nextPeriodEndBlock}`
+  console.log("Final Rewards (after distribution):");
+  console.log(
+    `  Subscription: ${finalRewards[0].toString()} (${formatTokens(
+      finalRewards[0],
+      { withSymbol: true }
+    )})`
+  );
+  console.log(
+    `  Voting: ${finalRewards[1].toString()} (${formatTokens(finalRewards[1], {
+      withSymbol: true,
+    })})`
   );
-}
 
-async function findBlockBeforeRewardsCalculated(
-  api,
-  rewardsCalculatedBlockHash
-) {
-  try {
-    console.log(`Finding block before RewardsCalculatedForPeriod event...`);
+  console.log("Period Rewards Earned:");
+  console.log(
+    `  Subscription: ${periodRewards[0].toString()} (${formatTokens(
+      periodRewards[0],
+      { withSymbol: true }
+    )})`
+  );
+  console.log(
+    `  Voting: ${periodRewards[1].toString()} (${formatTokens(
+      periodRewards[1],
+      { withSymbol: true }
+    )})`
+  );
 
-    // Get the block number from the hash
-    const blockHeader = await api.rpc.chain.getHeader(
-      rewardsCalculatedBlockHash
+  if (rewardYield) {
+    console.log("-".repeat(60));
+    console.log(
+      `Stake: ${stake.toString()} (${formatTokens(stake, {
+        withSymbol: true,
+      })})`
     );
-    const blockNumber = blockHeader.number.toNumber();
-
-    console.debug(`RewardsCalculatedForPeriod found at block ${blockNumber}`);
+    console.log(
+      `Reward per ${token.symbol} Staked: ${rewardYield.rewardPerStake.toFixed(
+        8
+      )} ${token.symbol}`
+    );
+    console.log(
+      `Annualized Yield (APR): ${rewardYield.apr.toFixed(2)}% ` +
+        `(${rewardYield.periodsPerYear.toFixed(1)} periods per year at ${(
+          blockTime / 1000
+        ).toFixed(2)} s per block)`
+    );
+  }
 
-    // Look for the block BEFORE any EarnedRewardCalculated events
-    // We need to keep going backwards until we find a block without the event
-    const searchRange = 50; // Check up to 50 blocks before to ensure we find the initial state
+  if (expectedRewards) {
+    printExpectedRewards(expectedRewards, periodRewards, token);
+  }
 
-    let lastBlockWithEvent = null;
-    let initialBlockHash = null;
+  if (PRICE_FILE) {
+    printFiatValue(creditedAt, fiatValue, token);
+  }
+  console.log("=".repeat(60));
+}
 
-    for (let i = 1; i <= searchRange; i++) {
-      const checkBlockNumber = blockNumber - i;
-      if (checkBlockNumber < 0) break;
+/// Report output of the fiat value of the period rewards at the day they were credited
+function printFiatValue(creditedAt, fiatValue, token) {
+  console.log("-".repeat(60));
+  console.log("Credited At:", new Date(creditedAt).toISOString());
 
-      try {
-        const checkBlockHash = await api.rpc.chain.getBlockHash(
-          checkBlockNumber
-        );
-        const events = await api.query.system.events.at(checkBlockHash);
-
-        // Check if this block has EarnedRewardCalculated event
-        let hasEvent = false;
-        for (const { event } of events) {
-          if (event.method === "EarnedRewardCalculated") {
-            hasEvent = true;
-            lastBlockWithEvent = checkBlockHash;
-            console.debug(
-              `Block ${checkBlockNumber} has EarnedRewardCalculated event`
-            );
-            break;
-          }
-        }
+  if (!fiatValue) {
+    console.log(
+      `Fiat Value: N/A (no ${PRICE_CURRENCY} price for the credit date in ${PRICE_FILE})`
+    );
+    return;
+  }
 
-        // If this block doesn't have the event, we've found our initial state block
-        if (!hasEvent) {
-          initialBlockHash = checkBlockHash;
-          console.debug(
-            `Block ${checkBlockNumber} has NO EarnedRewardCalculated event - this is our initial state block`
-          );
-          break;
-        }
-      } catch (error) {
-        console.debug(
-          `Error checking block ${checkBlockNumber}: ${error.message}`
-        );
-        continue;
-      }
-    }
+  const { currency } = fiatValue;
+  console.log(
+    `${token.symbol} Price: ${formatPrice(fiatValue.price)} ${currency} (${
+      fiatValue.priceDate
+    })`
+  );
+  console.log(`Fiat Value (${currency}):`);
+  console.log(`  Subscription: ${formatFiat(fiatValue.subscription)}`);
+  console.log(`  Voting: ${formatFiat(fiatValue.voting)}`);
+  console.log(`  Total: ${formatFiat(fiatValue.total)}`);
+}
 
-    if (initialBlockHash) {
-      console.log(
-        `✅ Found initial state block: ${initialBlockHash} (no EarnedRewardCalculated event)`
-      );
-      return initialBlockHash;
-    } else if (lastBlockWithEvent) {
-      // If we couldn't find a block without the event, use the last block with the event
-      console.log(
-        `⚠️  Could not find block without EarnedRewardCalculated event, using last block with event: ${lastBlockWithEvent}`
-      );
-      return lastBlockWithEvent;
-    } else {
-      // Fallback: use the block before RewardsCalculatedForPeriod
-      const blockBeforeHash = await api.rpc.chain.getBlockHash(blockNumber - 1);
-      console.log(
-        `⚠️  Fallback: using block before RewardsCalculatedForPeriod: ${
-          blockNumber - 1
-        } (${blockBeforeHash})`
-      );
-      return blockBeforeHash;
-    }
-  } catch (error) {
-    throw new Error(
-      `Failed to find block before RewardsCalculatedForPeriod: ${error.message}`
+/// Report output of the rewards and their fiat value per calendar year, for tax reporting
+function printFiatSummary(results) {
+  const token = getResultsToken(results);
+  const formatTokens = createAmountFormatter(token);
+  const columns = [
+    ["Year", 6],
+    ["Address", 50],
+    ["Periods", 9],
+    [`Total ${token.symbol}`, 20],
+    [`Total ${PRICE_CURRENCY}`, 16],
+    ["Unpriced", 9],
+  ];
+  const formatRow = createRowFormatter(columns);
+
+  console.log("\n" + "=".repeat(110));
+  console.log(`YEARLY FIAT SUMMARY (${PRICE_CURRENCY}, BY UTC CREDIT DATE)`);
+  console.log("=".repeat(110));
+  console.log(formatRow(columns.map(([title]) => title)));
+
+  for (const summary of summarizeFiatByYear(results)) {
+    console.log(
+      formatRow([
+        summary.year,
+        summary.address,
+        summary.periods,
+        formatTokens(summary.rewards[0].add(summary.rewards[1])),
+        formatFiat(summary.fiat.total),
+        summary.unpriced,
+      ])
     );
   }
+
+  console.log("-".repeat(110));
+  console.log(
+    "Rewards are valued at the price of the day they were credited, unpriced periods count as 0"
+  );
+  console.log("=".repeat(110));
 }
 
-async function getEligibleRounds(api, period, groupNs, blockHash) {
-  try {
-    // Based on the pallet logic:
-    // total_eligible_rounds = NumberOfVotings - (NumberOfVotingsWithNomination - NumberOfOperatorVotingsWithNomination)
-
-    // Query storage at the specific block hash using the .at() method
-    const numberOfVotings = await api.query.workerNodePallet.numberOfVotings.at(
-      blockHash,
-      period,
-      groupNs
-    );
-    const numberOfVotingsWithNomination =
-      await api.query.workerNodePallet.numberOfVotingsWithNomination.at(
-        blockHash,
-        period,
-        groupNs
-      );
-    // numberOfOperatorVotingsWithNomination might not exist, so we'll try to query it but handle errors gracefully
-    let numberOfOperatorVotingsWithNomination = null;
-    try {
-      numberOfOperatorVotingsWithNomination =
-        await api.query.workerNodePallet.numberOfOperatorVotingsWithNomination.at(
-          blockHash,
-          period, // RewardPeriodIndex first
-          [ADDRESS, groupNs] // Tuple of (OperatorAccount, SolutionGroupNamespace)
-        );
-    } catch (error) {
-      console.debug(
-        `numberOfOperatorVotingsWithNomination query failed: ${error.message}`
-      );
-      numberOfOperatorVotingsWithNomination = null;
-    }
+/// Report output of the expected rewards, with the inputs of the formula for payout disputes
+function printExpectedRewards(expectedRewards, periodRewards, token) {
+  const formatTokens = createAmountFormatter(token);
+  const {
+    rewardsConfig,
+    stake,
+    totalStake,
+    stakeShare,
+    periodLength,
+    meetsSla,
+    tolerance,
+    expected,
+    difference,
+    withinTolerance,
+    matches,
+  } = expectedRewards;
+
+  console.log("-".repeat(60));
+  console.log("Expected Rewards:");
+  console.log(
+    `  Stake Share: ${stakeShare.toFixed(4)}% (${formatTokens(
+      stake
+    )} of ${formatTokens(totalStake, {
+      withSymbol: true,
+    })} staked in the group)`
+  );
+  console.log(`  Period Length: ${periodLength} blocks`);
+  console.log(
+    `  Subscription Pool: ${formatTokens(
+      rewardsConfig.subscriptionRewardPerBlock,
+      { withSymbol: true }
+    )} per block`
+  );
+  console.log(
+    `  Voting Pool: ${formatTokens(rewardsConfig.votingRewardPerBlock, {
+      withSymbol: true,
+    })} per block${meetsSla ? "" : " (not paid, SLA missed)"}`
+  );
 
-    // Check if data exists and decode it
-    // Note: numberOfVotings and numberOfVotingsWithNomination return BN directly, not Option
-    if (!numberOfVotings || !numberOfVotingsWithNomination) {
-      throw new Error(
-        `Some voting data not found for period ${period}, group ${groupNs}. ` +
-          `numberOfVotings: ${numberOfVotings ? "Some" : "None"}, ` +
-          `numberOfVotingsWithNomination: ${
-            numberOfVotingsWithNomination ? "Some" : "None"
-          }`
-      );
-    }
+  const components = ["Subscription", "Voting"];
+  components.forEach((component, i) => {
+    const sign = difference[i].isNeg() ? "" : "+";
+    console.log(
+      `  ${component}: expected ${formatTokens(expected[i], {
+        withSymbol: true,
+      })}, ` +
+        `earned ${formatTokens(periodRewards[i], { withSymbol: true })} ` +
+        `(${sign}${formatTokens(difference[i], { withSymbol: true })}) ` +
+        (withinTolerance[i] ? "✅" : "⚠️  MISMATCH")
+    );
+  });
+  console.log(
+    matches
+      ? `Reward Check: ✅ within ${tolerance}% of the expected rewards`
+      : `Reward Check: ⚠️  differs by more than ${tolerance}% from the expected rewards`
+  );
+}
 
-    // numberOfOperatorVotingsWithNomination might not exist, so we'll handle it gracefully
-    let operatorVotingsWithNomination = 0;
-    try {
-      if (numberOfOperatorVotingsWithNomination) {
-        // Check if it's an Option type
-        if (numberOfOperatorVotingsWithNomination.isNone !== undefined) {
-          if (!numberOfOperatorVotingsWithNomination.isNone) {
-            operatorVotingsWithNomination =
-              numberOfOperatorVotingsWithNomination.unwrap().toNumber();
-          }
-        } else {
-          // It's a direct value (like BN)
-          operatorVotingsWithNomination =
-            numberOfOperatorVotingsWithNomination.toNumber();
-        }
-      }
-    } catch (error) {
-      console.debug(
-        `numberOfOperatorVotingsWithNomination not available, using 0: ${error.message}`
+/// Report output covering every period of a range for one address
+function printRangeSummary(address, results) {
+  const token = getResultsToken(results);
+  const formatTokens = createAmountFormatter(token);
+  const columns = [
+    ["Period", 8],
+    ["Eligible", 10],
+    ["Votes", 8],
+    ["Ratio %", 9],
+    ["SLA", 6],
+    [`Subscription ${token.symbol}`, 18],
+    [`Voting ${token.symbol}`, 18],
+    ["APR %", 8],
+  ];
+  const formatRow = createRowFormatter(columns);
+
+  console.log("\n" + "=".repeat(85));
+  console.log(
+    `REWARD RANGE SUMMARY: PERIODS ${REWARD_PERIOD_INDEX}-${REWARD_PERIOD_END}`
+  );
+  console.log("=".repeat(85));
+  console.log("Group Namespace:", GROUP_NAMESPACE);
+  console.log("Address:", address);
+  console.log("-".repeat(85));
+  console.log(formatRow(columns.map(([title]) => title)));
+
+  for (const result of results) {
+    if (result.error) {
+      console.log(
+        formatRow([result.periodIndex, "-", "-", "-", "FAIL", "-", "-", "-"]) +
+          `\n  Error: ${result.error}`
       );
-      operatorVotingsWithNomination = 0;
+      continue;
     }
 
-    // Decode the storage data using standard methods
-    const totalVotings = numberOfVotings.toNumber();
-    const totalVotingsWithNomination = numberOfVotingsWithNomination.toNumber();
+    console.log(
+      formatRow([
+        result.periodIndex,
+        result.eligibleRounds,
+        result.votes,
+        result.voteRatio !== null ? result.voteRatio.toFixed(2) : "N/A",
+        result.meetsSla === null ? "N/A" : result.meetsSla ? "YES" : "NO",
+        formatTokens(result.periodRewards[0]),
+        formatTokens(result.periodRewards[1]),
+        result.rewardYield ? result.rewardYield.apr.toFixed(2) : "N/A",
+      ])
+    );
+  }
 
-    const totalEligibleRounds =
-      totalVotings -
-      (totalVotingsWithNomination - operatorVotingsWithNomination);
+  const totals = summarizeResults(results);
+
+  console.log("-".repeat(85));
+  console.log(
+    formatRow([
+      "Total",
+      totals.eligibleRounds,
+      totals.votes,
+      totals.voteRatio,
+      `${totals.meetsSla}/${totals.analyzed}`,
+      formatTokens(totals.subscription),
+      formatTokens(totals.voting),
+      totals.averageApr,
+    ])
+  );
+  console.log("Total Subscription Rewards:", totals.subscription.toString());
+  console.log("Total Voting Rewards:", totals.voting.toString());
+  console.log(
+    `Average Reward per ${token.symbol} Staked: ${totals.averageRewardPerStake} ${token.symbol}`
+  );
+  console.log(`Average APR %: ${totals.averageApr}`);
+  console.log(
+    `Reward Discrepancies: ${totals.discrepancies}/${totals.checked} checked`
+  );
+  console.log(`Periods Failed: ${totals.failed}/${results.length}`);
+  console.log("=".repeat(85));
+}
 
-    console.debug("\nVoting eligibility stats");
-    console.debug(`Querying for group: ${groupNs}, period: ${period}`);
-    console.debug(
-      `totalVotings=${totalVotings}, totalVotingsWithNomination=${totalVotingsWithNomination}, operatorVotingsWithNomination=${operatorVotingsWithNomination}`
+/// Report output covering every address of a batch
+function printBatchSummary(addresses, results) {
+  const token = getResultsToken(results);
+  const formatTokens = createAmountFormatter(token);
+  const columns = [
+    ["Address", 50],
+    ["Eligible", 10],
+    ["Votes", 8],
+    ["Ratio %", 9],
+    ["SLA", 8],
+    [`Subscription ${token.symbol}`, 18],
+    [`Voting ${token.symbol}`, 18],
+    ["Avg APR %", 10],
+  ];
+  const formatRow = createRowFormatter(columns);
+  const width = columns.reduce((sum, [, size]) => sum + size, 0);
+
+  console.log("\n" + "=".repeat(width));
+  console.log(
+    REWARD_PERIOD_END !== REWARD_PERIOD_INDEX
+      ? `REWARD BATCH SUMMARY: PERIODS ${REWARD_PERIOD_INDEX}-${REWARD_PERIOD_END}`
+      : `REWARD BATCH SUMMARY: PERIOD ${REWARD_PERIOD_INDEX}`
+  );
+  console.log("=".repeat(width));
+  console.log("Group Namespace:", GROUP_NAMESPACE);
+  console.log("-".repeat(width));
+  console.log(formatRow(columns.map(([title]) => title)));
+
+  for (const address of addresses) {
+    const totals = summarizeResults(
+      results.filter((result) => result.address === address)
     );
-    console.debug(`calculated totalEligibleRounds=${totalEligibleRounds}`);
 
-    return totalEligibleRounds;
-  } catch (error) {
-    throw new Error(`Failed to calculate eligible rounds: ${error.message}`);
+    console.log(
+      formatRow([
+        address,
+        totals.eligibleRounds,
+        totals.votes,
+        totals.voteRatio,
+        `${totals.meetsSla}/${totals.analyzed}`,
+        formatTokens(totals.subscription),
+        formatTokens(totals.voting),
+        totals.averageApr,
+      ])
+    );
   }
-}
 
-async function getCorrectVotesForAddress(
-  api,
-  period,
-  groupNs,
-  address,
-  blockHash
-) {
-  try {
-    // Query the number of correct votes for the address in the specific period and group
-    // Using VoteMetadata storage item: (groupNamespace, rewardPeriodIndex, operatorAccount) -> u32
+  const totals = summarizeResults(results);
+
+  console.log("-".repeat(width));
+  console.log(
+    formatRow([
+      "Total",
+      totals.eligibleRounds,
+      totals.votes,
+      totals.voteRatio,
+      `${totals.meetsSla}/${totals.analyzed}`,
+      formatTokens(totals.subscription),
+      formatTokens(totals.voting),
+      totals.averageApr,
+    ])
+  );
 
-    console.debug(
-      `\nQuerying voteMetadata for group: ${groupNs}, period: ${period}, address: ${address}`
-    );
-    const voteMetadata = await api.query.workerNodePallet.voteMetadata.at(
-      blockHash,
-      groupNs,
-      period,
-      address
-    );
+  printDiscrepancies(results, width);
 
-    const votes = voteMetadata.toNumber();
-    console.debug(
-      `Found voting data for address ${address} in period ${period}, group ${groupNs}: ${votes} correct votes\n`
-    );
-    return votes;
-  } catch (error) {
-    throw new Error(
-      `Failed to get votes for address ${address}: ${error.message}`
-    );
+  const failures = results.filter((result) => result.error);
+  if (failures.length > 0) {
+    console.log("-".repeat(width));
+    console.log(`Failures (${failures.length}/${results.length}):`);
+    for (const { periodIndex, address, error } of failures) {
+      console.log(`  ❌ Period ${periodIndex} - ${address}: ${error}`);
+    }
   }
+  console.log("=".repeat(width));
 }
 
-async function getSlaThreshold(api, period, groupNs, blockHash) {
-  try {
-    const groupInfo = await api.query.workerNodePallet.solutionsGroups.at(
-      blockHash,
-      groupNs
-    );
+/// Helper to list the results whose earned rewards differ from the expected ones
+function printDiscrepancies(results, width) {
+  const token = getResultsToken(results);
+  const formatTokens = createAmountFormatter(token);
+  const checked = results.filter((result) => result.expectedRewards);
+  const discrepancies = checked.filter(
+    (result) => !result.expectedRewards.matches
+  );
+  if (discrepancies.length === 0) return;
 
-    const group = groupInfo.unwrap().toHuman();
-    // The SLA threshold might be stored in the group configuration
-    // Look for slaVotingThreshold or similar field
-    console.debug(
-      `Found SLA threshold ${group.slaVotingThreshold} from group config`
-    );
-    return group.slaVotingThreshold;
-  } catch (error) {
-    throw new Error(
-      `Could not find SLA threshold for group ${groupNs} - not found in group config or direct storage query: ${error.message}`
+  console.log("-".repeat(width));
+  console.log(
+    `Reward discrepancies (${discrepancies.length}/${checked.length}):`
+  );
+  for (const {
+    periodIndex,
+    address,
+    periodRewards,
+    expectedRewards,
+  } of discrepancies) {
+    const { expected } = expectedRewards;
+    console.log(
+      `  ⚠️  Period ${periodIndex} - ${address}: earned ${formatTokens(
+        periodRewards[0].add(periodRewards[1]),
+        { withSymbol: true }
+      )}, expected ${formatTokens(expected[0].add(expected[1]), {
+        withSymbol: true,
+      })}`
     );
   }
 }
 
-async function getRewardsForAddress(api, period, groupNs, address, blockHash) {
-  try {
-    // Query rewards earned by the address for the specific group
-    // Based on the existing codebase, this uses the earnedRewards storage item
+/// Report output ranking every subscriber of the group for one period
+function printLeaderboard(periodIndex, results) {
+  const token = getResultsToken(results);
+  const formatTokens = createAmountFormatter(token);
+  const columns = [
+    ["Rank", 6],
+    ["Address", 50],
+    ["Votes", 8],
+    ["Eligible", 10],
+    ["Ratio %", 9],
+    ["SLA", 6],
+    [`Subscription ${token.symbol}`, 18],
+    [`Voting ${token.symbol}`, 18],
+    [`Total ${token.symbol}`, 18],
+    ["APR %", 8],
+  ];
+  const formatRow = createRowFormatter(columns);
+  const width = columns.reduce((sum, [, size]) => sum + size, 0);
+
+  const ranked = results.filter((result) => !result.error);
+
+  console.log("\n" + "=".repeat(width));
+  console.log(`GROUP LEADERBOARD: PERIOD ${periodIndex}`);
+  console.log("=".repeat(width));
+  console.log("Group Namespace:", GROUP_NAMESPACE);
+  if (ranked.length > 0) {
+    console.log("SLA Threshold %:", ranked[0].slaPercentage);
+  }
+  console.log("-".repeat(width));
+  console.log(formatRow(columns.map(([title]) => title)));
 
-    const earnedRewards = await api.query.workerNodePallet.earnedRewards.at(
-      blockHash,
-      address,
-      groupNs
+  ranked.forEach((result) => {
+    console.log(
+      formatRow([
+        result.rank,
+        result.address,
+        result.votes,
+        result.eligibleRounds,
+        result.voteRatio !== null ? result.voteRatio.toFixed(2) : "N/A",
+        result.meetsSla === null ? "N/A" : result.meetsSla ? "YES" : "NO",
+        formatTokens(result.periodRewards[0]),
+        formatTokens(result.periodRewards[1]),
+        formatTokens(result.periodRewards[0].add(result.periodRewards[1])),
+        result.rewardYield ? result.rewardYield.apr.toFixed(2) : "N/A",
+      ])
     );
+  });
 
-    console.debug(
-      `Decoded rewards - Subscription: ${earnedRewards[0].toHuman()}, Voting: ${earnedRewards[1].toHuman()}`
-    );
-    return earnedRewards;
-  } catch (error) {
-    throw new Error(
-      `Failed to get rewards for address ${address}: ${error.message}`
-    );
-  }
-}
+  const totals = summarizeResults(ranked);
+
+  console.log("-".repeat(width));
+  console.log(
+    formatRow([
+      "",
+      "Total",
+      totals.votes,
+      totals.eligibleRounds,
+      totals.voteRatio,
+      `${totals.meetsSla}/${totals.analyzed}`,
+      formatTokens(totals.subscription),
+      formatTokens(totals.voting),
+      formatTokens(totals.subscription.add(totals.voting)),
+      totals.averageApr,
+    ])
+  );
 
-async function getGroupInfo(api, groupNs, blockHash) {
-  // Get group information including SLA threshold
-  try {
-    const groupInfo = await api.query.workerNodePallet.solutionsGroups.at(
-      blockHash,
-      groupNs
-    );
+  printDiscrepancies(ranked, width);
 
-    return groupInfo.unwrap().toHuman();
-  } catch (error) {
-    throw new Error(
-      `Failed to fetch group info for ${groupNs}: ${error.message}`
-    );
+  const failures = results.filter((result) => result.error);
+  if (failures.length > 0) {
+    console.log("-".repeat(width));
+    console.log(`Not ranked (${failures.length}/${results.length}):`);
+    for (const { address, error } of failures) {
+      console.log(`  ⚠️  ${address}: ${error}`);
+    }
   }
+  console.log("=".repeat(width));
 }
 
-async function getPeriodInfo(api, periodIndex, blockHash) {
-  // Get reward period information from ActiveRewardPeriodInfo
-  try {
-    const activeRewardPeriodInfo =
-      await api.query.workerNodePallet.activeRewardPeriodInfo.at(blockHash);
-    const currentPeriod = activeRewardPeriodInfo.toJSON();
-
-    // Calculate the requested period's block range based on current period info
-    // Calculate how many periods back from current period
-    const periodsBack = currentPeriod.index - periodIndex;
-    const periodStartBlock =
-      currentPeriod.firstBlock - periodsBack * currentPeriod.length;
-    const periodEndBlock = periodStartBlock + currentPeriod.length - 1;
-
-    // Validate calculations
-    if (isNaN(periodStartBlock) || isNaN(periodEndBlock)) {
-      throw new Error(
-        `Invalid period block calculation: periodStartBlock=${periodStartBlock}, periodEndBlock=${periodEndBlock}. ` +
-          `Current period: ${currentPeriod.index}, requested period: ${periodIndex}, period length: ${currentPeriod.length}`
-      );
-    }
+/// Analyze every requested address for every period of the range
+async function runReport(api, addresses, options) {
+  const isRange = REWARD_PERIOD_END !== REWARD_PERIOD_INDEX;
+  const isBatch = addresses.length > 1;
+  const results = [];
 
-    return {
-      index: periodIndex,
-      start: periodStartBlock,
-      end: periodEndBlock,
-      length: currentPeriod.length,
-      firstBlock: periodStartBlock,
-    };
-  } catch (error) {
-    throw new Error(
-      `Failed to fetch period info for ${periodIndex}: ${error.message}`
-    );
-  }
-}
+  for (
+    let periodIndex = REWARD_PERIOD_INDEX;
+    periodIndex <= REWARD_PERIOD_END;
+    periodIndex++
+  ) {
+    console.log(`\n📅 Analyzing reward period ${periodIndex}...`);
 
-async function getAllGroupsSystemVotingRoundsCount(
-  api,
-  periodIndex,
-  blockHash
-) {
-  // Count system voting rounds for all groups in a specific period
-  try {
-    console.debug(
-      `Counting system voting rounds for all groups in period ${periodIndex}...`
-    );
+    // The block discovery and group lookups are shared by every address
+    let context;
+    try {
+      context = await resolvePeriodContext(
+        api,
+        periodIndex,
+        GROUP_NAMESPACE,
+        options
+      );
+    } catch (error) {
+      if (!isRange && !isBatch) throw error;
+
+      // Keep going so a single failing period doesn't abort the whole run
+      console.log(`❌ Period ${periodIndex} failed: ${error.message}`);
+      for (const address of addresses) {
+        results.push({
+          periodIndex,
+          groupNamespace: GROUP_NAMESPACE,
+          address,
+          error: error.message,
+        });
+      }
+      continue;
+    }
 
-    // Get the last block of the reward period
-    const periodInfo = await getPeriodInfo(api, periodIndex, blockHash);
-    const lastBlockOfPeriod = periodInfo.end;
+    for (const address of addresses) {
+      try {
+        const result = await analyzeAddress(api, context, address, options);
+        if (OUTPUT_FORMAT === "text" && MODE !== "history") {
+          printPeriodReport(result);
+        }
+        results.push(result);
+      } catch (error) {
+        if (!isRange && !isBatch) throw error;
 
-    console.debug(
-      `Querying system voting rounds for all groups at last block of period: ${lastBlockOfPeriod}`
-    );
+        console.log(
+          `❌ Period ${periodIndex} failed for ${address}: ${error.message}`
+        );
+        results.push({
+          periodIndex,
+          groupNamespace: GROUP_NAMESPACE,
+          address,
+          error: error.message,
+        });
+      }
+    }
 
-    // Convert block number to block hash
-    const lastBlockHash = await api.rpc.chain.getBlockHash(lastBlockOfPeriod);
-    console.debug(
-      `Last block hash for all groups: ${lastBlockHash.toString()}`
-    );
+    options.cache?.save();
+  }
 
-    // Query system voting rounds for all groups using the correct storage definition
-    // StorageDoubleMap: (RewardPeriodIndex, VotingRoundKey) -> VotingRoundInfo
-    // For all groups, we only specify the period index
-    const allSystemVotingRounds =
-      await api.query.workerNodePallet.systemVotingRound.entriesAt(
-        lastBlockHash, // Query at the end of the period (block hash)
-        periodIndex // First key: RewardPeriodIndex (only)
+  if (OUTPUT_FORMAT !== "text") return results;
+
+  // History only prints the compact per-period table, even for a single period
+  if (isRange || MODE === "history") {
+    for (const address of addresses) {
+      printRangeSummary(
+        address,
+        results.filter((result) => result.address === address)
       );
+    }
+  }
+
+  if (isBatch) {
+    printBatchSummary(addresses, results);
+  }
+
+  return results;
+}
+
+/// Rank every subscriber of GROUP_NAMESPACE for every period of the range
+async function runLeaderboard(api, options) {
+  const allResults = [];
 
-    const count = allSystemVotingRounds.length;
-    console.debug(
-      `Found ${count} total system voting rounds for period ${periodIndex} across all groups at block ${lastBlockOfPeriod}`
+  for (
+    let periodIndex = REWARD_PERIOD_INDEX;
+    periodIndex <= REWARD_PERIOD_END;
+    periodIndex++
+  ) {
+    console.log(
+      `\n📅 Building leaderboard for reward period ${periodIndex}...`
     );
 
-    return count;
-  } catch (error) {
-    throw new Error(
-      `Failed to count total system voting rounds: ${error.message}`
+    let context, subscribers;
+    try {
+      context = await resolvePeriodContext(
+        api,
+        periodIndex,
+        GROUP_NAMESPACE,
+        options
+      );
+      subscribers = await cached(
+        options.cache,
+        `subscribers:${periodIndex}:${GROUP_NAMESPACE}`,
+        () => getGroupSubscribers(api, periodIndex, GROUP_NAMESPACE)
+      );
+    } catch (error) {
+      if (REWARD_PERIOD_END === REWARD_PERIOD_INDEX) throw error;
+
+      // Keep going so a single failing period doesn't abort the whole range,
+      // the subscribers aren't known so the failure is recorded for the group
+      console.log(`❌ Period ${periodIndex} failed: ${error.message}`);
+      allResults.push({
+        periodIndex,
+        groupNamespace: GROUP_NAMESPACE,
+        error: error.message,
+      });
+      continue;
+    }
+    console.log(
+      `✅ Found ${subscribers.length} subscribers of group ${GROUP_NAMESPACE}`
     );
+
+    const results = [];
+    for (const address of subscribers) {
+      try {
+        results.push(await analyzeAddress(api, context, address, options));
+      } catch (error) {
+        console.log(`⚠️  Skipping ${address}: ${error.message}`);
+        results.push({
+          periodIndex,
+          groupNamespace: GROUP_NAMESPACE,
+          address,
+          error: error.message,
+        });
+      }
+    }
+
+    options.cache?.save();
+
+    const ranked = rankResults(results);
+    if (OUTPUT_FORMAT === "text") printLeaderboard(periodIndex, ranked);
+    allResults.push(...ranked);
   }
-}
 
-/// Helper to query the indexer for rewards calculation block
-async function queryIndexerForRewardsBlock(indexerUrl, periodIndex, api) {
-  try {
-    const query = {
-      query: `query { 
-        events(
-          where: {
-            name_eq: "WorkerNodePallet.RewardsCalculatedForPeriod"
-          }, 
-          orderBy: blockNumber_DESC
-        ) { 
-          name 
-          blockNumber 
-        } 
-      }`,
-    };
+  return allResults;
+}
 
-    const response = await fetch(indexerUrl, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(query),
-    });
+/// Find the reward calculation and initial state blocks for every period of the range
+async function runFindBlock(api, options) {
+  const isRange = REWARD_PERIOD_END !== REWARD_PERIOD_INDEX;
+  const results = [];
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
+  for (
+    let periodIndex = REWARD_PERIOD_INDEX;
+    periodIndex <= REWARD_PERIOD_END;
+    periodIndex++
+  ) {
+    console.log(`\n📅 Finding blocks for reward period ${periodIndex}...`);
 
-    const data = await response.json();
+    try {
+      const { blockHash, initialBlockHash } = await resolvePeriodBlocks(
+        api,
+        periodIndex,
+        options
+      );
+      results.push({ periodIndex, blockHash, initialBlockHash });
+      options.cache?.save();
+    } catch (error) {
+      if (!isRange) throw error;
 
-    if (data.errors) {
-      throw new Error(`GraphQL errors: ${JSON.stringify(data.errors)}`);
+      console.log(`❌ Period ${periodIndex} failed: ${error.message}`);
+      results.push({ periodIndex, error: error.message });
     }
+  }
 
-    if (!data.data || !data.data.events || data.data.events.length === 0) {
-      return null;
+  if (OUTPUT_FORMAT === "text") {
+    console.log("\n" + "=".repeat(60));
+    console.log("REWARD CALCULATION BLOCKS");
+    console.log("=".repeat(60));
+    for (const result of results) {
+      console.log(`Period ${result.periodIndex}:`);
+      if (result.error) {
+        console.log(`  ❌ ${result.error}`);
+        continue;
+      }
+      console.log(`  RewardsCalculatedForPeriod: ${result.blockHash}`);
+      console.log(`  Initial State: ${result.initialBlockHash}`);
     }
+    console.log("=".repeat(60));
+  }
 
-    // Get the period info to determine the block range
-    const activeRewardPeriodInfo =
-      await api.query.workerNodePallet.activeRewardPeriodInfo();
-    const currentPeriod = activeRewardPeriodInfo.toJSON();
-
-    // Calculate the period boundaries for the requested period and the next period
-    const periodLength = currentPeriod.length;
-    const periodStartBlock =
-      currentPeriod.firstBlock -
-      (currentPeriod.index - periodIndex) * periodLength;
-    const periodEndBlock = periodStartBlock + periodLength - 1;
+  return results;
+}
 
-    // Calculate the start block of the next period (period 614 + 1 = period 615)
-    const nextPeriodStartBlock = periodStartBlock + periodLength;
+/// Stake history output for one address
+function printStakeHistory(history) {
+  const { token } = history;
+  const formatTokens = createAmountFormatter(token);
+  const columns = [
+    ["Period", 8],
+    [`Stake ${token.symbol}`, 22],
+    ["Update", 8],
+    ["Eligible", 10],
+  ];
+  const formatRow = createRowFormatter(columns);
+
+  console.log("\n" + "=".repeat(60));
+  console.log(
+    `STAKE HISTORY: PERIODS ${history.fromPeriod}-${history.toPeriod}`
+  );
+  console.log("=".repeat(60));
+  console.log("Group Namespace:", history.groupNamespace);
+  console.log("Address:", history.address);
+  console.log("-".repeat(60));
+
+  console.log("Stake Updates:");
+  if (history.updates.length === 0) {
+    console.log("  None");
+  }
+  for (const { period, stake } of history.updates) {
+    console.log(
+      `  Period ${period}: ${stake.toString()} (${formatTokens(stake, {
+        withSymbol: true,
+      })})`
+    );
+  }
 
+  console.log("Subscriptions:");
+  if (history.subscriptions.length === 0) {
+    console.log("  Not subscribed in this range");
+  }
+  for (const { from, to } of history.subscriptions) {
+    const began =
+      from < history.fromPeriod
+        ? `Began in period ${from}, before the range`
+        : `Began in period ${from}`;
     console.log(
-      `Period ${periodIndex} block range: ${periodStartBlock} to ${periodEndBlock}`
+      to === null
+        ? `  ${began}, still subscribed in period ${history.toPeriod}`
+        : `  ${began}, ended after period ${to}`
     );
+  }
+
+  console.log("-".repeat(60));
+  console.log(formatRow(columns.map(([title]) => title)));
+  for (const period of history.periods) {
     console.log(
-      `Next period ${periodIndex + 1} starts at block: ${nextPeriodStartBlock}`
+      formatRow([
+        period.periodIndex,
+        formatTokens(period.stake),
+        period.updatePeriod ?? "-",
+        period.eligible ? "YES" : "NO",
+      ])
     );
+  }
+
+  const eligible = history.periods.filter((period) => period.eligible);
+  console.log("-".repeat(60));
+  console.log(`Eligible Periods: ${eligible.length}/${history.periods.length}`);
+  console.log("=".repeat(60));
+}
 
-    // We need to find the RewardsCalculatedForPeriod event that happens AFTER the next period starts
-    // This means the event should be after nextPeriodStartBlock
-    const searchStartBlock = nextPeriodStartBlock; // Event must be after next period starts
-    const searchEndBlock = searchStartBlock + 2000; // Search up to 2000 blocks after
+/// Stake history of every address over the configured periods
+async function runStakeHistory(api, addresses) {
+  const results = [];
 
+  for (const address of addresses) {
     console.log(
-      `Searching for RewardsCalculatedForPeriod event after next period starts: blocks ${searchStartBlock} to ${searchEndBlock}`
+      `\n📜 Reading stake history of ${address} in group ${GROUP_NAMESPACE}...`
     );
 
-    // Find the event that falls within the search range (after next period starts)
-    for (const event of data.data.events) {
-      const blockNumber = event.blockNumber;
-      if (blockNumber >= searchStartBlock && blockNumber <= searchEndBlock) {
-        console.log(
-          `✅ Found RewardsCalculatedForPeriod event for period ${periodIndex} at block ${blockNumber} (after next period starts)`
-        );
-        return blockNumber;
+    try {
+      const history = await getStakeHistory(
+        api,
+        GROUP_NAMESPACE,
+        address,
+        REWARD_PERIOD_INDEX,
+        REWARD_PERIOD_END
+      );
+      results.push(history);
+
+      if (OUTPUT_FORMAT === "text") {
+        printStakeHistory(history);
       }
+    } catch (error) {
+      if (addresses.length === 1) throw error;
+
+      console.log(`❌ Address ${address} failed: ${error.message}`);
+      results.push({
+        groupNamespace: GROUP_NAMESPACE,
+        address,
+        error: error.message,
+      });
     }
+  }
 
+  return results;
+}
+
+// Timeline mark of each round status, one character per round
+const ROUND_MARKS = {
+  correct: "+",
+  wrong: "x",
+  missed: ".",
+  "not-eligible": "-",
+  "no-consensus": "?",
+};
+
+/// Report output of the voting rounds of one address in one period
+function printVotingRounds(result) {
+  const { periodIndex, address, timeline, summary, gaps } = result;
+  const columns = [
+    ["Round", 8],
+    ["Start Block", 14],
+    ["Eligible", 10],
+    ["Voted", 8],
+    ["Status", 14],
+  ];
+  const formatRow = createRowFormatter(columns);
+  const roundsPerLine = 48;
+
+  console.log("\n" + "=".repeat(60));
+  console.log(`VOTING ROUNDS: PERIOD ${periodIndex}`);
+  console.log("=".repeat(60));
+  console.log("Group Namespace:", GROUP_NAMESPACE);
+  console.log("Address:", address);
+  console.log("-".repeat(60));
+
+  console.log(
+    "Timeline (+ correct, x wrong, . missed, - not nominated, ? no consensus):"
+  );
+  for (let i = 0; i < timeline.length; i += roundsPerLine) {
+    const line = timeline
+      .slice(i, i + roundsPerLine)
+      .map(({ status }) => ROUND_MARKS[status])
+      .join("");
+    console.log(`  ${String(timeline[i].round).padStart(4)} ${line}`);
+  }
+
+  console.log("-".repeat(60));
+  console.log(formatRow(columns.map(([title]) => title)));
+  for (const entry of timeline) {
     console.log(
-      `No RewardsCalculatedForPeriod event found within period ${periodIndex} block range`
+      formatRow([
+        entry.round,
+        entry.startBlock ?? "N/A",
+        entry.eligible ? "YES" : "NO",
+        entry.voted ? "YES" : "NO",
+        entry.status,
+      ])
     );
-    return null;
-  } catch (error) {
-    throw new Error(`Indexer query failed: ${error.message}`);
   }
-}
 
-/// Main workflow
-async function main() {
-  const provider = new WsProvider(NODE_URL);
-  const api = await ApiPromise.create({
-    provider,
-    typesBundle: avnTypes,
-  });
+  console.log("-".repeat(60));
+  console.log(`Eligible Rounds: ${summary.eligible}/${summary.rounds}`);
+  console.log(`Voted: ${summary.voted}`);
+  console.log(`Correct Votes: ${summary.correct}`);
+  console.log(`Wrong Votes: ${summary.wrong}`);
+  console.log(`Missed Rounds: ${summary.missed}`);
+  console.log(
+    "Vote Ratio %:",
+    summary.eligible
+      ? ((summary.correct / summary.eligible) * 100).toFixed(2)
+      : "N/A"
+  );
 
-  try {
-    console.log(`Connecting to ${NODE_URL}...`);
-    await api.isReady;
-    console.log("Connected to Energy Web X parachain");
+  console.log("Gaps:");
+  if (gaps.length === 0) {
+    console.log("  None");
+  }
+  for (const gap of gaps) {
+    console.log(
+      `  Rounds ${gap.fromRound}-${gap.toRound}: ${gap.rounds} missed (blocks ${gap.fromBlock}-${gap.toBlock})`
+    );
+  }
+  console.log("=".repeat(60));
+}
 
-    // Validate input parameters
-    await validateInput(api);
+/// Per-round voting breakdown of every address for every period of the range
+async function runVotingRounds(api, addresses) {
+  const isBatch = addresses.length > 1;
+  const isRange = REWARD_PERIOD_END !== REWARD_PERIOD_INDEX;
+  const results = [];
 
-    // Step 1: find block where rewards for the period were calculated
-    let blockHash;
+  for (
+    let periodIndex = REWARD_PERIOD_INDEX;
+    periodIndex <= REWARD_PERIOD_END;
+    periodIndex++
+  ) {
+    console.log(`\n🗳️  Reading voting rounds of period ${periodIndex}...`);
 
-    if (SPECIFIC_BLOCK_HASH) {
-      console.log(`\nUsing provided block hash: ${SPECIFIC_BLOCK_HASH}`);
-      console.log("Verifying RewardsCalculatedForPeriod event...");
+    // The rounds and their votes are shared by every address
+    let rounds;
+    try {
+      ({ rounds } = await getVotingRounds(api, periodIndex, GROUP_NAMESPACE));
+    } catch (error) {
+      if (!isRange && !isBatch) throw error;
+
+      console.log(`❌ Period ${periodIndex} failed: ${error.message}`);
+      for (const address of addresses) {
+        results.push({
+          periodIndex,
+          groupNamespace: GROUP_NAMESPACE,
+          address,
+          error: error.message,
+        });
+      }
+      continue;
+    }
 
-      try {
-        const events = await api.query.system.events.at(SPECIFIC_BLOCK_HASH);
-        let eventFound = false;
-
-        for (const { event } of events) {
-          if (
-            event.section === "workerNodePallet" &&
-            event.method === "RewardsCalculatedForPeriod" &&
-            event.data[0].toNumber() === REWARD_PERIOD_INDEX
-          ) {
-            eventFound = true;
-            break;
-          }
-        }
+    for (const address of addresses) {
+      const result = {
+        periodIndex,
+        groupNamespace: GROUP_NAMESPACE,
+        address,
+        ...buildVotingTimeline(rounds, address),
+      };
+      if (OUTPUT_FORMAT === "text") {
+        printVotingRounds(result);
+      }
+      results.push(result);
+    }
+  }
 
-        if (!eventFound) {
-          throw new Error(
-            `RewardsCalculatedForPeriod event for period ${REWARD_PERIOD_INDEX} not found in the provided block ${SPECIFIC_BLOCK_HASH}`
-          );
-        }
+  return results;
+}
 
-        blockHash = SPECIFIC_BLOCK_HASH;
-        console.log(
-          `✅ Verified RewardsCalculatedForPeriod event for period ${REWARD_PERIOD_INDEX} at block ${blockHash}`
-        );
-      } catch (error) {
-        throw new Error(
-          `Failed to verify RewardsCalculatedForPeriod event in provided block ${SPECIFIC_BLOCK_HASH}: ${error.message}`
-        );
-      }
-    } else if (process.env.INDEXER_URL) {
-      // Priority 2: Query the indexer for the block number
+/// Report output of the SLA outlook of every address in the active period
+function printSlaRisk(context, results) {
+  const columns = [
+    ["Address", 50],
+    ["Eligible", 10],
+    ["Votes", 8],
+    ["Ratio %", 9],
+    ["Recent %", 10],
+    ["Projected %", 13],
+    ["Can Miss", 10],
+    ["Status", 10],
+  ];
+  const formatRow = createRowFormatter(columns);
+  const width = columns.reduce((sum, [, size]) => sum + size, 0);
+  const formatRatio = (ratio) => (ratio !== null ? ratio.toFixed(2) : "N/A");
+
+  console.log("\n" + "=".repeat(width));
+  console.log(`SLA RISK: PERIOD ${context.periodIndex} (IN PROGRESS)`);
+  console.log("=".repeat(width));
+  console.log("Group Namespace:", context.groupNamespace);
+  console.log("SLA Threshold %:", context.slaPercentage);
+  console.log(
+    `Best Block: ${context.headBlock} (${context.blocksElapsed}/${context.periodInfo.length} blocks of the period, ${context.blocksRemaining} remaining)`
+  );
+  console.log("-".repeat(width));
+  console.log(formatRow(columns.map(([title]) => title)));
+
+  for (const result of results) {
+    if (result.error) {
       console.log(
-        `\nQuerying indexer at ${process.env.INDEXER_URL} for RewardsCalculatedForPeriod event...`
+        formatRow([result.address, "-", "-", "-", "-", "-", "-", "FAIL"])
       );
+      continue;
+    }
 
-      try {
-        const indexerBlockNumber = await queryIndexerForRewardsBlock(
-          process.env.INDEXER_URL,
-          REWARD_PERIOD_INDEX,
-          api
-        );
+    console.log(
+      formatRow([
+        result.address,
+        result.eligibleRounds,
+        result.votes,
+        formatRatio(result.voteRatio),
+        formatRatio(result.recentVoteRatio),
+        formatRatio(result.projectedVoteRatio),
+        result.roundsCanMiss ?? "N/A",
+        result.risk ?? "N/A",
+      ])
+    );
+  }
 
-        if (indexerBlockNumber) {
-          console.log(
-            `✅ Found block number ${indexerBlockNumber} from indexer within period ${REWARD_PERIOD_INDEX} range`
-          );
-
-          // Use the block directly from the indexer
-          blockHash = await api.rpc.chain.getBlockHash(indexerBlockNumber);
-          console.log(`✅ Using block hash from indexer: ${blockHash}`);
-        } else {
-          throw new Error(
-            "Indexer query returned no results within the period range"
-          );
-        }
-      } catch (error) {
-        console.log(
-          `⚠️  Indexer query failed: ${error.message}, falling back to blockchain search`
-        );
-        console.log(
-          `\nSearching for RewardsCalculatedForPeriod event for period ${REWARD_PERIOD_INDEX}...`
-        );
-        console.log(
-          "🔍 Using optimized search method (counts SystemVotingRounds in previous period)"
-        );
-        blockHash = await findBlockForPeriod(api, REWARD_PERIOD_INDEX);
-        console.log(
-          `Found block for period ${REWARD_PERIOD_INDEX}:`,
-          blockHash
-        );
-      }
-    } else {
-      // Priority 3: Fallback to blockchain search
+  const warnings = results.filter(
+    (result) =>
+      result.error || result.risk === "at-risk" || result.risk === "missed"
+  );
+  console.log("-".repeat(width));
+  if (warnings.length === 0) {
+    console.log("✅ No operator is at risk of missing the SLA");
+  }
+  for (const result of warnings) {
+    if (result.error) {
+      console.log(`❌ ${result.address}: ${result.error}`);
+    } else if (result.risk === "missed") {
       console.log(
-        `\nSearching for RewardsCalculatedForPeriod event for period ${REWARD_PERIOD_INDEX}...`
+        `❌ ${
+          result.address
+        } can no longer meet the SLA, voting in every remaining round ends at ${formatRatio(
+          result.bestCaseVoteRatio
+        )}%`
       );
+    } else {
       console.log(
-        "🔍 Using optimized search method (counts SystemVotingRounds in previous period)"
+        `⚠️  ${
+          result.address
+        } is at risk of missing the SLA: projected ${formatRatio(
+          result.projectedVoteRatio
+        )}% at its recent rate, it can miss ${result.roundsCanMiss} of the ~${
+          result.expectedRemainingRounds
+        } remaining rounds`
       );
-
-      blockHash = await findBlockForPeriod(api, REWARD_PERIOD_INDEX);
-      console.log(`Found block for period ${REWARD_PERIOD_INDEX}:`, blockHash);
-    }
-
-    // Step 2: get additional context information
-    let groupInfo, periodInfo;
-
-    try {
-      groupInfo = await getGroupInfo(api, GROUP_NAMESPACE, blockHash);
-    } catch (error) {
-      throw Error(`❌ Failed to get group info: ${error.message}`);
     }
+  }
+  console.log("=".repeat(width));
+}
 
-    try {
-      periodInfo = await getPeriodInfo(api, REWARD_PERIOD_INDEX, blockHash);
-    } catch (error) {
-      throw Error(`❌ Failed to get period info: ${error.message}`);
-    }
+/// SLA outlook of the given addresses, or every subscriber of the group, in the active period
+async function runSlaRisk(api, addresses) {
+  console.log(
+    `\n📡 Reading the active period of group ${GROUP_NAMESPACE} at the best block...`
+  );
+  const context = await getLiveVotingContext(api, GROUP_NAMESPACE);
 
-    // Step 3: Find the block before RewardsCalculatedForPeriod for initial state
+  if (addresses.length === 0) {
+    addresses = await getGroupSubscribers(
+      api,
+      context.periodIndex,
+      GROUP_NAMESPACE
+    );
     console.log(
-      "\nFinding block before RewardsCalculatedForPeriod for initial state..."
+      `✅ Found ${addresses.length} subscribers of group ${GROUP_NAMESPACE}`
     );
+  }
 
-    let initialBlockHash;
+  const results = [];
+  for (const address of addresses) {
     try {
-      initialBlockHash = (
-        await findBlockBeforeRewardsCalculated(api, blockHash)
-      ).toHuman();
-      console.log(`✅ Found initial block: ${initialBlockHash}`);
+      results.push(await analyzeSlaRisk(api, context, address));
     } catch (error) {
-      throw Error(`❌ Failed to find initial block: ${error.message}`);
+      if (addresses.length === 1) throw error;
+
+      console.log(`❌ Address ${address} failed: ${error.message}`);
+      results.push({ ...context, address, error: error.message });
     }
+  }
 
-    // Step 4: query historical state at both blocks
-    console.log("\nQuerying historical state...");
+  if (OUTPUT_FORMAT === "text") {
+    printSlaRisk(context, results);
+  }
+  return results;
+}
 
-    let eligibleRounds, votes, slaPercentage, initialRewards, finalRewards;
-    try {
-      eligibleRounds = await getEligibleRounds(
-        api,
-        REWARD_PERIOD_INDEX,
-        GROUP_NAMESPACE,
-        initialBlockHash || blockHash
-      );
-    } catch (error) {
-      throw Error(`❌ Failed to get eligible rounds: ${error.message}`);
-    }
+/// Helper to set up the configured alert sinks, returns the function checking results for alerts or null
+function createAlerting() {
+  const sinks = [];
+  if (ALERT_WEBHOOK_URL) sinks.push(createWebhookSink(ALERT_WEBHOOK_URL));
+  if (ALERT_SLACK_WEBHOOK_URL) {
+    sinks.push(createSlackSink(ALERT_SLACK_WEBHOOK_URL));
+  }
+  if (sinks.length === 0 || !ALERT_MODES.includes(MODE)) return null;
 
-    try {
-      votes = await getCorrectVotesForAddress(
-        api,
-        REWARD_PERIOD_INDEX,
-        GROUP_NAMESPACE,
-        ADDRESS,
-        initialBlockHash || blockHash
-      );
-    } catch (error) {
-      throw Error(`❌ Failed to get votes: ${error.message}`);
-    }
+  console.log(
+    `🚨 Sending alerts to ${sinks.map((sink) => sink.name).join(" and ")}`
+  );
+  const state = openAlertState(ALERT_STATE_FILE);
+  return (results) =>
+    processAlerts(results, {
+      sinks,
+      state,
+      deviationPercent: ALERT_REWARD_DEVIATION,
+      trailingPeriods: ALERT_TRAILING_PERIODS,
+      precision: AMOUNT_PRECISION,
+    });
+}
 
-    try {
-      slaPercentage = await getSlaThreshold(
-        api,
-        REWARD_PERIOD_INDEX,
-        GROUP_NAMESPACE,
-        initialBlockHash || blockHash
-      );
-    } catch (error) {
-      throw Error(`❌ Failed to get SLA threshold: ${error.message}`);
-    }
+/// Helper to parse GROUP_NAMESPACE, which can list several groups separated by commas
+function parseGroups() {
+  return GROUP_NAMESPACE.split(",")
+    .map((group) => group.trim())
+    .filter((group) => group !== "");
+}
 
-    try {
-      // Get initial rewards at the block before RewardsCalculatedForPeriod
-      if (initialBlockHash) {
-        initialRewards = await getRewardsForAddress(
-          api,
-          REWARD_PERIOD_INDEX,
-          GROUP_NAMESPACE,
-          ADDRESS,
-          initialBlockHash
-        );
-        console.log(`✅ Got initial rewards: ${initialRewards.toHuman()}`);
-      } else {
-        initialRewards = 0;
-        console.log(`⚠️  No initial block found, assuming initial rewards: 0`);
-      }
-    } catch (error) {
-      throw Error(`❌ Failed to get initial rewards: ${error.message}`);
+/// Helper to set up the analysis options and connections of the modes that watch finalized blocks
+async function openWatchConnection(fixture) {
+  const options = {
+    indexerUrl: INDEXER_URL,
+    cache: null,
+    scanConcurrency: SCAN_CONCURRENCY,
+    rewardTolerance: REWARD_TOLERANCE,
+  };
+
+  let indexer = null;
+  if (fixture) {
+    console.log(`🧪 Using mock chain from fixture ${FIXTURE_FILE}`);
+    options.indexerUrl = undefined;
+    if (fixture.indexer) {
+      indexer = await startMockIndexer(fixture.indexer.events);
+      options.indexerUrl = indexer.url;
     }
+  }
 
-    try {
-      // Get final rewards at the block with RewardsCalculatedForPeriod
-      finalRewards = await getRewardsForAddress(
-        api,
-        REWARD_PERIOD_INDEX,
-        GROUP_NAMESPACE,
-        ADDRESS,
-        blockHash
-      );
-      console.log(`✅ Got final rewards: ${finalRewards.toHuman()}`);
-    } catch (error) {
-      throw Error(`❌ Failed to get final rewards: ${error.message}`);
+  const connect = async () => {
+    if (fixture) {
+      return createMockApi(fixture);
     }
 
-    // Get system voting rounds count for all groups
-    let allGroupsSystemVotingRounds = null;
-    try {
-      allGroupsSystemVotingRounds = await getAllGroupsSystemVotingRoundsCount(
-        api,
-        REWARD_PERIOD_INDEX,
-        blockHash
-      );
-      console.log(
-        `✅ Got total system voting rounds across all groups: ${allGroupsSystemVotingRounds}`
-      );
-    } catch (error) {
-      throw Error(
-        `❌ Failed to get total system voting rounds: ${error.message}`
-      );
+    console.log(`Connecting to ${NODE_URL}...`);
+    const api = await createApi(NODE_URL);
+    await api.isReady;
+    console.log("Connected to Energy Web X parachain");
+    if (CACHE_DIR && !options.cache) {
+      options.cache = openCache(CACHE_DIR, api.genesisHash.toString());
+      console.log(`🗄️  Using cache ${options.cache.path}`);
     }
+    return api;
+  };
 
-    // Calculate the actual rewards earned during this period
-    let periodRewards = null;
-    if (initialRewards !== null && finalRewards !== null) {
-      // Handle BN tuple values properly for subtraction
-      // Both are BN tuples [subscriptionRewards, votingRewards]
-      const subscriptionPeriodRewards = finalRewards[0].sub(initialRewards[0]);
-      const votingPeriodRewards = finalRewards[1].sub(initialRewards[1]);
-      periodRewards = [subscriptionPeriodRewards, votingPeriodRewards];
+  const close = async () => {
+    options.cache?.save();
+    await indexer?.close();
+  };
 
-      console.log(
-        `✅ Calculated period rewards - Subscription: ${subscriptionPeriodRewards}, Voting: ${votingPeriodRewards}`
-      );
+  return { options, connect, close };
+}
+
+/// Helper to stop a long-running mode at the next opportunity on Ctrl+C
+function createStopSignal(name) {
+  const controller = new AbortController();
+  const stop = () => {
+    console.log(`\n👋 Stopping ${name}...`);
+    controller.abort();
+  };
+  process.once("SIGINT", stop);
+  process.once("SIGTERM", stop);
+
+  return {
+    signal: controller.signal,
+    dispose: () => {
+      process.off("SIGINT", stop);
+      process.off("SIGTERM", stop);
+    },
+  };
+}
+
+/// Watch finalized blocks and write the report of every period of the groups once it is calculated
+async function runWatch(fixture, addresses) {
+  const groups = parseGroups();
+  const statePath = join(WATCH_DIR, "watch-state.json");
+
+  let state = {};
+  try {
+    mkdirSync(WATCH_DIR, { recursive: true });
+    if (existsSync(statePath)) {
+      state = JSON.parse(readFileSync(statePath, "utf8"));
+      console.log(`📂 Resuming watch from ${statePath}`);
     }
+  } catch (error) {
+    throw new Error(`Failed to read watch state: ${error.message}`);
+  }
 
-    // Step 4: derive SLA check
-    let voteRatio = null;
-    let meetsSla = null;
-    if (eligibleRounds && votes !== null && slaPercentage !== null) {
-      voteRatio = (votes / eligibleRounds) * 100;
+  const { options, connect, close } = await openWatchConnection(fixture);
+  const sendAlerts = createAlerting();
+
+  const writeReport = async ({ periodIndex, groupNamespace, results }) => {
+    const report = buildJsonReport({
+      mode: "report",
+      inputs: {
+        nodeUrl: fixture ? null : NODE_URL,
+        fixture: FIXTURE_FILE || null,
+        indexerUrl: fixture ? null : INDEXER_URL || null,
+        periodStart: periodIndex,
+        periodEnd: periodIndex,
+        groupNamespace,
+        addresses: addresses.length > 0 ? addresses : null,
+        specificBlockHash: null,
+      },
+      results,
+    });
 
-      // Convert slaPercentage from string (e.g., "60.00%") to number
-      let slaThresholdNumber = parseFloat(slaPercentage.replace("%", ""));
+    const path = join(
+      WATCH_DIR,
+      `period-${periodIndex}-${groupNamespace}.json`
+    );
+    writeFileSync(path, JSON.stringify(report, null, 2) + "\n");
 
-      meetsSla = voteRatio >= slaThresholdNumber;
+    const failed = results.filter((result) => result.error).length;
+    console.log(
+      `📝 Wrote report of period ${periodIndex} for group ${groupNamespace} (${results.length} addresses, ${failed} failed) to ${path}`
+    );
 
-      // Debug SLA calculation
-      console.debug(`SLA Calculation Debug:`);
-      console.debug(`  votes: ${votes} (type: ${typeof votes})`);
-      console.debug(
-        `  eligibleRounds: ${eligibleRounds} (type: ${typeof eligibleRounds})`
-      );
-      console.debug(`  voteRatio: ${voteRatio} (type: ${typeof voteRatio})`);
-      console.debug(
-        `  slaPercentage: ${slaPercentage} (type: ${typeof slaPercentage})`
-      );
-      console.debug(
-        `  slaThresholdNumber: ${slaThresholdNumber} (type: ${typeof slaThresholdNumber})`
-      );
-      console.debug(
-        `  meetsSla calculation: ${voteRatio} >= ${slaThresholdNumber} = ${meetsSla}`
-      );
-    }
+    await sendAlerts?.(results);
+  };
 
-    // Step 5: output results
-    console.log("\n" + "=".repeat(60));
-    console.log("REWARD PERIOD ANALYSIS REPORT");
-    console.log("=".repeat(60));
-    console.log("Reward Period Index:", REWARD_PERIOD_INDEX);
-    console.log("Group Namespace:", GROUP_NAMESPACE);
-    console.log("Address:", ADDRESS);
-    console.log("-".repeat(60));
+  // The state file is always up to date when the watch stops
+  const stop = createStopSignal("watch");
+  try {
+    await watchRewards(connect, {
+      groups,
+      addresses,
+      state,
+      options,
+      onReport: writeReport,
+      onStateChange: () =>
+        writeFileSync(statePath, JSON.stringify(state, null, 2) + "\n"),
+      signal: stop.signal,
+    });
+  } finally {
+    await close();
+    stop.dispose();
+  }
+}
 
-    if (periodInfo) {
-      console.log("Period Info:", JSON.stringify(periodInfo, null, 2));
+/// Publish the last completed period of the groups as Prometheus metrics, refreshed by the watch
+async function runMetrics(fixture, addresses) {
+  const groups = parseGroups();
+  const { options, connect, close } = await openWatchConnection(fixture);
+
+  const metrics = await startMetricsServer({
+    host: SERVER_HOST,
+    port: SERVER_PORT,
+  });
+  console.log(`📈 Serving metrics at ${metrics.url}`);
+
+  const stop = createStopSignal("metrics");
+  try {
+    // The progress is only kept in memory, a restart publishes the latest period again
+    await watchRewards(connect, {
+      groups,
+      addresses,
+      options,
+      reportLatest: true,
+      onReport: (report) => {
+        metrics.update(report);
+        console.log(
+          `📈 Published metrics of period ${report.periodIndex} for group ${report.groupNamespace}`
+        );
+      },
+      signal: stop.signal,
+    });
+  } finally {
+    await metrics.close();
+    await close();
+    stop.dispose();
+  }
+}
+
+/// Answer reward reports over HTTP until the process is stopped
+async function runServe(api, options) {
+  // Every request names its own period, group and addresses
+  const server = await startRewardsServer(api, {
+    indexerUrl: options.indexerUrl,
+    cache: options.cache,
+    scanConcurrency: options.scanConcurrency,
+    rewardTolerance: options.rewardTolerance,
+    host: SERVER_HOST,
+    port: SERVER_PORT,
+  });
+  console.log(`🌐 Serving reward reports at ${server.url}`);
+
+  await new Promise((resolve) => {
+    process.once("SIGINT", resolve);
+    process.once("SIGTERM", resolve);
+  });
+  console.log("\n👋 Stopping server...");
+  await server.close();
+}
+
+/// Main workflow
+export async function main() {
+  if (OUTPUT_FORMAT === "json") {
+    // Keep stdout for the JSON document only
+    console.log = console.error;
+    console.info = console.error;
+    console.debug = console.error;
+  }
+
+  // Validate input parameters before connecting so mistakes fail fast
+  let addresses;
+  let fixture = null;
+  let prices = null;
+  try {
+    addresses = loadAddresses();
+    validateInput(addresses);
+    if (FIXTURE_FILE) {
+      fixture = loadFixture(FIXTURE_FILE);
     }
+    if (PRICE_FILE) {
+      prices = loadPriceSeries(PRICE_FILE, PRICE_CURRENCY);
+    }
+  } catch (error) {
+    console.error("Error:", error.message);
+    process.exitCode = 1;
+    return;
+  }
 
-    if (groupInfo) {
-      console.log("Group Info:", JSON.stringify(groupInfo, null, 2));
+  // Watching manages its own connections, reconnecting whenever one drops
+  if (MODE === "watch" || MODE === "metrics") {
+    try {
+      if (MODE === "watch") {
+        await runWatch(fixture, addresses);
+      } else {
+        await runMetrics(fixture, addresses);
+      }
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exitCode = 1;
     }
+    return;
+  }
 
-    console.log("-".repeat(60));
-    console.log(
-      "Eligible Rounds:",
-      eligibleRounds !== null ? eligibleRounds : "N/A"
-    );
-    console.log("Correct Votes Submitted:", votes !== null ? votes : "N/A");
-    console.log(
-      "SLA Threshold %:",
-      slaPercentage !== null ? slaPercentage : "N/A"
-    );
+  const sendAlerts = createAlerting();
+  const chainApi = fixture ? createMockApi(fixture) : await createApi(NODE_URL);
+  let api = chainApi;
+  let recorder = null;
+  let cache = null;
+  let indexer = null;
+  let indexerUrl = INDEXER_URL;
 
-    if (voteRatio !== null) {
-      console.log("Vote Ratio %:", voteRatio.toFixed(2));
-      console.log("Meets SLA:", meetsSla ? "✅ YES" : "❌ NO");
+  try {
+    if (fixture) {
+      console.log(`🧪 Using mock chain from fixture ${FIXTURE_FILE}`);
+
+      // Offline runs never reach the configured indexer, the fixture's events are served locally
+      indexerUrl = undefined;
+      if (fixture.indexer) {
+        indexer = await startMockIndexer(fixture.indexer.events);
+        indexerUrl = indexer.url;
+        console.log(`🧪 Serving fixture indexer events at ${indexerUrl}`);
+      }
     } else {
-      console.log("Vote Ratio %: N/A (insufficient data)");
-      console.log("Meets SLA: N/A");
+      console.log(`Connecting to ${NODE_URL}...`);
+      await api.isReady;
+      console.log("Connected to Energy Web X parachain");
     }
-    console.log("-".repeat(60));
 
-    // Calculate EWT values for all reward amounts
-    const initialSubscriptionEWT = initialRewards[0].div(
-      new BN(10).pow(new BN(18))
-    );
-    const initialVotingEWT = initialRewards[1].div(new BN(10).pow(new BN(18)));
-    const finalSubscriptionEWT = finalRewards[0].div(
-      new BN(10).pow(new BN(18))
-    );
-    const finalVotingEWT = finalRewards[1].div(new BN(10).pow(new BN(18)));
-    const subscriptionRewardsEWT = periodRewards[0].div(
-      new BN(10).pow(new BN(18))
-    );
-    const votingRewardsEWT = periodRewards[1].div(new BN(10).pow(new BN(18)));
+    // Recording wraps the connection, and the indexer through a local proxy, so the
+    // fixture holds every response the run depends on
+    if (RECORD_FILE) {
+      recorder = createRecorder(chainApi);
+      api = recorder.api;
+      console.log(`⏺️  Recording chain responses to ${RECORD_FILE}`);
+
+      if (INDEXER_URL) {
+        indexer = await startRecordingIndexer(
+          INDEXER_URL,
+          recorder.indexerEvents
+        );
+        indexerUrl = indexer.url;
+      }
+    }
 
-    // Get the remainder for decimal precision
-    const subscriptionRemainder = periodRewards[0].mod(
-      new BN(10).pow(new BN(18))
-    );
-    const votingRemainder = periodRewards[1].mod(new BN(10).pow(new BN(18)));
-
-    // Format with decimal places (6 decimal precision)
-    const subscriptionDecimal = subscriptionRemainder
-      .div(new BN(10).pow(new BN(12)))
-      .toString()
-      .padStart(6, "0");
-    const votingDecimal = votingRemainder
-      .div(new BN(10).pow(new BN(12)))
-      .toString()
-      .padStart(6, "0");
-
-    console.log("Initial Rewards:");
-    console.log(
-      `  Subscription: ${initialRewards[0].toString()} (${initialSubscriptionEWT.toString()} EWT)`
-    );
-    console.log(
-      `  Voting: ${initialRewards[1].toString()} (${initialVotingEWT.toString()} EWT)`
-    );
+    // Finalized history never changes, so it is cached per chain. Cached values would
+    // be missing from a recording, so recorded runs always read the chain
+    if (CACHE_DIR && !fixture && !recorder) {
+      cache = openCache(CACHE_DIR, api.genesisHash.toString());
+      console.log(`🗄️  Using cache ${cache.path}`);
+    }
 
-    console.log("Final Rewards (after distribution):");
-    console.log(
-      `  Subscription: ${finalRewards[0].toString()} (${finalSubscriptionEWT.toString()} EWT)`
-    );
-    console.log(
-      `  Voting: ${finalRewards[1].toString()} (${finalVotingEWT.toString()} EWT)`
-    );
+    const options = {
+      blockHash: SPECIFIC_BLOCK_HASH,
+      indexerUrl,
+      cache,
+      scanConcurrency: SCAN_CONCURRENCY,
+      rewardTolerance: REWARD_TOLERANCE,
+      prices,
+      // Any known subscriber lets the block search binary search on its earned rewards
+      probe:
+        addresses.length > 0 && GROUP_NAMESPACE
+          ? { address: addresses[0], groupNs: GROUP_NAMESPACE }
+          : undefined,
+    };
 
-    console.log("Period Rewards Earned:");
-    console.log(
-      `  Subscription: ${periodRewards[0].toString()} (${subscriptionRewardsEWT.toString()}.${subscriptionDecimal} EWT)`
-    );
-    console.log(
-      `  Voting: ${periodRewards[1].toString()} (${votingRewardsEWT.toString()}.${votingDecimal} EWT)`
-    );
-    console.log("=".repeat(60));
+    let results;
+    if (MODE === "find-block") {
+      results = await runFindBlock(api, options);
+    } else if (MODE === "stake-history") {
+      results = await runStakeHistory(api, addresses);
+    } else if (MODE === "rounds") {
+      results = await runVotingRounds(api, addresses);
+    } else if (MODE === "sla-risk") {
+      results = await runSlaRisk(api, addresses);
+    } else if (MODE === "serve") {
+      await runServe(api, options);
+    } else {
+      results =
+        MODE === "leaderboard"
+          ? await runLeaderboard(api, options)
+          : await runReport(api, addresses, options);
+
+      if (prices && OUTPUT_FORMAT === "text") {
+        printFiatSummary(results);
+      }
+
+      writeExports(results, GROUP_NAMESPACE, {
+        csvPath: CSV_OUTPUT,
+        markdownPath: MARKDOWN_OUTPUT,
+        htmlPath: HTML_OUTPUT,
+        fiatSummaryPath: FIAT_SUMMARY_OUTPUT,
+        token: getResultsToken(results),
+        precision: AMOUNT_PRECISION,
+      });
+      await sendAlerts?.(results);
+    }
+
+    // The server answered its requests with JSON already
+    if (OUTPUT_FORMAT === "json" && MODE !== "serve") {
+      const report = buildJsonReport({
+        mode: MODE,
+        inputs: {
+          nodeUrl: fixture ? null : NODE_URL,
+          fixture: FIXTURE_FILE || null,
+          indexerUrl: fixture ? null : INDEXER_URL || null,
+          // Live modes follow the active period, which every result carries
+          periodStart: LIVE_MODES.includes(MODE) ? null : REWARD_PERIOD_INDEX,
+          periodEnd: LIVE_MODES.includes(MODE) ? null : REWARD_PERIOD_END,
+          groupNamespace: GROUP_NAMESPACE || null,
+          addresses:
+            ADDRESS_MODES.includes(MODE) ||
+            (LIVE_MODES.includes(MODE) && addresses.length > 0)
+              ? addresses
+              : null,
+          specificBlockHash:
+            (!LIVE_MODES.includes(MODE) && SPECIFIC_BLOCK_HASH) || null,
+          priceFile: PRICE_FILE || null,
+          priceCurrency: PRICE_FILE ? PRICE_CURRENCY : null,
+        },
+        results,
+        fiatSummary: prices ? summarizeFiatByYear(results) : undefined,
+      });
+      process.stdout.write(JSON.stringify(report, null, 2) + "\n");
+    }
   } catch (error) {
     console.error("Error:", error.message);
     console.error("Stack:", error.stack);
+    process.exitCode = 1;
+
+    // A run that failed as a whole alerts for every address, or for the group
+    const failed = addresses.length > 0 ? addresses : [undefined];
+    await sendAlerts?.(
+      failed.map((address) => ({
+        periodIndex: REWARD_PERIOD_INDEX,
+        groupNamespace: GROUP_NAMESPACE,
+        address,
+        error: error.message,
+      }))
+    );
   } finally {
+    cache?.save();
+    if (recorder) {
+      recorder.save(RECORD_FILE);
+      console.log(
+        `⏺️  Recorded fixture ${RECORD_FILE}, replay it with --replay`
+      );
+    }
+    await indexer?.close();
     await api.disconnect();
     console.log("\nDisconnected from parachain");
   }
 }
 
+/// Inspect or clear the on-disk cache without connecting to the chain
+export function runCacheCommand(action) {
+  if (!CACHE_DIR) {
+    console.error("Error: CACHE_DIR is empty, the cache is disabled");
+    process.exitCode = 1;
+    return;
+  }
+
+  if (action === "clear") {
+    const removed = clearCaches(CACHE_DIR);
+    console.log(`🗑️  Removed ${removed} cache file(s) from ${CACHE_DIR}`);
+    return;
+  }
+
+  const caches = listCaches(CACHE_DIR);
+  if (caches.length === 0) {
+    console.log(`No cache files in ${CACHE_DIR}`);
+    return;
+  }
+
+  for (const entry of caches) {
+    console.log("\n" + "=".repeat(60));
+    console.log("Cache File:", entry.path);
+    if (entry.error) {
+      console.log(`  ❌ Unreadable: ${entry.error}`);
+      continue;
+    }
+    console.log("Genesis Hash:", entry.genesisHash);
+    console.log("Version:", entry.version);
+    console.log("Cached Storage Values:", entry.storageEntries);
+    console.log("Cached Periods:", Object.keys(entry.periods).length);
+    for (const [periodIndex, blocks] of Object.entries(entry.periods)) {
+      console.log(`  Period ${periodIndex}:`);
+      console.log(
+        `    RewardsCalculatedForPeriod: ${blocks.rewardsCalculated}`
+      );
+      console.log(`    Initial State: ${blocks.initialState}`);
+    }
+  }
+  console.log("=".repeat(60));
+}
+
 // Run the script
 if (import.meta.url === `file://${process.argv[1]}`) {
   main().catch(console.error);
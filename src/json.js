@@ -0,0 +1,252 @@
+import { DEFAULT_TOKEN, formatDecimal } from "./format.js";
+import { formatFiat, formatPrice } from "./prices.js";
+
+// Bump whenever a field is renamed, removed or changes meaning
+export const JSON_SCHEMA_VERSION = 1;
+
+/// Helper to serialize a raw amount as a decimal string plus its value in whole tokens of its symbol
+function serializeAmount(amount, token = DEFAULT_TOKEN) {
+  return {
+    raw: amount.toString(),
+    amount: formatDecimal(amount, token),
+    symbol: token.symbol,
+  };
+}
+
+/// Helper to serialize a [subscription, voting] rewards tuple
+function serializeRewards(rewards, token) {
+  const [subscription, voting] = rewards;
+  return {
+    subscription: serializeAmount(subscription, token),
+    voting: serializeAmount(voting, token),
+    total: serializeAmount(subscription.add(voting), token),
+  };
+}
+
+/// Helper to serialize the expected rewards of a result and the inputs they were rebuilt from
+function serializeExpectedRewards(expectedRewards, token) {
+  const { rewardsConfig, expected, difference, withinTolerance } =
+    expectedRewards;
+  return {
+    inputs: {
+      subscriptionRewardPerBlock: serializeAmount(
+        rewardsConfig.subscriptionRewardPerBlock,
+        token
+      ),
+      votingRewardPerBlock: serializeAmount(
+        rewardsConfig.votingRewardPerBlock,
+        token
+      ),
+      totalStake: serializeAmount(expectedRewards.totalStake, token),
+      stakeShare: expectedRewards.stakeShare,
+      periodLength: expectedRewards.periodLength,
+      meetsSla: expectedRewards.meetsSla,
+    },
+    tolerance: expectedRewards.tolerance,
+    expected: serializeRewards(expected, token),
+    difference: serializeRewards(difference, token),
+    withinTolerance: {
+      subscription: withinTolerance[0],
+      voting: withinTolerance[1],
+    },
+    matches: expectedRewards.matches,
+  };
+}
+
+/// Helper to serialize the fiat value of a result's period rewards
+function serializeFiatValue(fiatValue) {
+  return {
+    currency: fiatValue.currency,
+    priceDate: fiatValue.priceDate,
+    price: formatPrice(fiatValue.price),
+    subscription: formatFiat(fiatValue.subscription),
+    voting: formatFiat(fiatValue.voting),
+    total: formatFiat(fiatValue.total),
+  };
+}
+
+/// Helper to serialize the rewards of an address in one calendar year, for the accountant
+function serializeFiatSummary(summary) {
+  return {
+    year: summary.year,
+    group: summary.group,
+    address: summary.address,
+    periods: summary.periods,
+    unpricedPeriods: summary.unpriced,
+    rewards: serializeRewards(summary.rewards, summary.token),
+    fiatValue: summary.currency
+      ? {
+          currency: summary.currency,
+          subscription: formatFiat(summary.fiat.subscription),
+          voting: formatFiat(summary.fiat.voting),
+          total: formatFiat(summary.fiat.total),
+        }
+      : null,
+  };
+}
+
+/// Helper to serialize one (period, address) analysis result
+export function serializeResult(result) {
+  if (result.error) {
+    return {
+      period: result.periodIndex,
+      group: result.groupNamespace,
+      // A leaderboard period that failed as a whole has no address
+      address: result.address ?? null,
+      status: "error",
+      error: result.error,
+    };
+  }
+
+  return {
+    period: result.periodIndex,
+    group: result.groupNamespace,
+    address: result.address,
+    status: "ok",
+    ...(result.rank !== undefined && { rank: result.rank }),
+    blocks: {
+      rewardsCalculated: result.blockHash,
+      initialState: result.initialBlockHash,
+    },
+    periodInfo: result.periodInfo,
+    groupInfo: result.groupInfo,
+    stake: serializeAmount(result.stake, result.token),
+    eligibleRounds: result.eligibleRounds,
+    correctVotes: result.votes,
+    slaThreshold: result.slaPercentage,
+    voteRatio: result.voteRatio,
+    meetsSla: result.meetsSla,
+    allGroupsSystemVotingRounds: result.allGroupsSystemVotingRounds,
+    rewards: {
+      initial: serializeRewards(result.initialRewards, result.token),
+      final: serializeRewards(result.finalRewards, result.token),
+      period: serializeRewards(result.periodRewards, result.token),
+    },
+    blockTimeMs: result.blockTime ?? null,
+    yield: result.rewardYield ?? null,
+    expectedRewards: result.expectedRewards
+      ? serializeExpectedRewards(result.expectedRewards, result.token)
+      : null,
+    creditedAt: new Date(result.creditedAt).toISOString(),
+    fiatValue: result.fiatValue ? serializeFiatValue(result.fiatValue) : null,
+  };
+}
+
+/// Helper to serialize a find-block result
+export function serializeBlocks(result) {
+  if (result.error) {
+    return { period: result.periodIndex, status: "error", error: result.error };
+  }
+
+  return {
+    period: result.periodIndex,
+    status: "ok",
+    blocks: {
+      rewardsCalculated: result.blockHash,
+      initialState: result.initialBlockHash,
+    },
+  };
+}
+
+/// Helper to serialize a stake history entry of the stake-history mode
+function serializeStakeHistory(history) {
+  if (history.error) {
+    return {
+      group: history.groupNamespace,
+      address: history.address,
+      status: "error",
+      error: history.error,
+    };
+  }
+
+  return {
+    group: history.groupNamespace,
+    address: history.address,
+    status: "ok",
+    updates: history.updates.map(({ period, stake }) => ({
+      period,
+      stake: serializeAmount(stake, history.token),
+    })),
+    subscriptions: history.subscriptions,
+    periods: history.periods.map((period) => ({
+      period: period.periodIndex,
+      stake: serializeAmount(period.stake, history.token),
+      updatePeriod: period.updatePeriod,
+      eligible: period.eligible,
+    })),
+  };
+}
+
+/// Helper to serialize the voting rounds of an address in a period
+function serializeVotingRounds(result) {
+  if (result.error) {
+    return {
+      period: result.periodIndex,
+      group: result.groupNamespace,
+      address: result.address,
+      status: "error",
+      error: result.error,
+    };
+  }
+
+  return {
+    period: result.periodIndex,
+    group: result.groupNamespace,
+    address: result.address,
+    status: "ok",
+    summary: result.summary,
+    gaps: result.gaps,
+    rounds: result.timeline,
+  };
+}
+
+/// Helper to serialize the SLA outlook of an address in the active period
+function serializeSlaRisk(result) {
+  const common = {
+    period: result.periodIndex,
+    group: result.groupNamespace,
+    address: result.address,
+  };
+  if (result.error) {
+    return { ...common, status: "error", error: result.error };
+  }
+
+  return {
+    ...common,
+    status: "ok",
+    headBlock: result.headBlock,
+    periodInfo: result.periodInfo,
+    blocksRemaining: result.blocksRemaining,
+    slaThreshold: result.slaPercentage,
+    eligibleRounds: result.eligibleRounds,
+    correctVotes: result.votes,
+    voteRatio: result.voteRatio,
+    recentVoteRatio: result.recentVoteRatio,
+    expectedRemainingRounds: result.expectedRemainingRounds,
+    projectedVoteRatio: result.projectedVoteRatio,
+    bestCaseVoteRatio: result.bestCaseVoteRatio,
+    worstCaseVoteRatio: result.worstCaseVoteRatio,
+    roundsCanMiss: result.roundsCanMiss,
+    risk: result.risk,
+  };
+}
+
+// Serializer of the results of each mode, report-like modes use serializeResult
+const SERIALIZERS = {
+  "find-block": serializeBlocks,
+  "stake-history": serializeStakeHistory,
+  rounds: serializeVotingRounds,
+  "sla-risk": serializeSlaRisk,
+};
+
+/// Build the machine-readable report document, with the yearly fiat totals when rewards were valued
+export function buildJsonReport({ mode, inputs, results, fiatSummary }) {
+  return {
+    schemaVersion: JSON_SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    mode,
+    inputs,
+    results: results.map(SERIALIZERS[mode] ?? serializeResult),
+    ...(fiatSummary && { fiatSummary: fiatSummary.map(serializeFiatSummary) }),
+  };
+}
@@ -0,0 +1,72 @@
+/// Public library API, see the "Library API" section of the README
+export { createApi } from "./api.js";
+export { openCache } from "./cache.js";
+export { getActivePeriod, resolvePeriod } from "./periods.js";
+export { createMockApi, loadFixture, FIXTURE_VERSION } from "./mock-chain.js";
+export { startMockIndexer } from "./mock-indexer.js";
+export { createRecorder, startRecordingIndexer } from "./recorder.js";
+export { watchRewards, reportPeriod } from "./watch.js";
+export { startRewardsServer } from "./server.js";
+export { startMetricsServer, formatMetrics } from "./metrics.js";
+export {
+  detectAlerts,
+  processAlerts,
+  openAlertState,
+  createWebhookSink,
+  createSlackSink,
+} from "./alerts.js";
+export { startMockWebhook } from "./mock-webhook.js";
+export {
+  analyzeRewardPeriod,
+  analyzeAddress,
+  resolvePeriodContext,
+  resolvePeriodBlocks,
+  resolveRewardsBlock,
+  validateSubscription,
+  getStakeRecord,
+  getStakeForPeriod,
+  getStakeHistory,
+  findBlockForPeriod,
+  hasRewardsCalculatedEvent,
+  verifyRewardsBlock,
+  findBlockBeforeRewardsCalculated,
+  queryIndexerForRewardsBlock,
+  getEligibleRounds,
+  getCorrectVotesForAddress,
+  getSlaThreshold,
+  getRewardsForAddress,
+  getGroupInfo,
+  getPeriodInfo,
+  getAllGroupsSystemVotingRoundsCount,
+  getBlockTimestamp,
+  getPeriodBlockTime,
+  computeRewardYield,
+  getGroupRewardsConfig,
+  reconstructExpectedRewards,
+  getGroupSubscribers,
+  rankResults,
+  getGroupTotalStake,
+  getVotingRounds,
+  buildVotingTimeline,
+  getLiveVotingContext,
+  analyzeSlaRisk,
+} from "./analysis.js";
+export {
+  buildJsonReport,
+  serializeResult,
+  serializeBlocks,
+  JSON_SCHEMA_VERSION,
+} from "./json.js";
+export {
+  formatAmount,
+  formatDecimal,
+  getChainToken,
+  DEFAULT_TOKEN,
+} from "./format.js";
+export {
+  loadPriceSeries,
+  valueRewards,
+  summarizeFiatByYear,
+  formatFiat,
+  formatPrice,
+} from "./prices.js";
@@ -0,0 +1,158 @@
+import { createServer } from "http";
+import { formatDecimal } from "./format.js";
+
+// Gauges published per (group, address) for the last completed period, in the order they're listed.
+// `labels` adds labels of its own to the group and address
+const OPERATOR_METRICS = [
+  {
+    name: "ewx_operator_vote_ratio_percent",
+    help: "Correct votes per eligible voting round",
+    value: (result) => result.voteRatio,
+  },
+  {
+    name: "ewx_operator_eligible_rounds",
+    help: "Voting rounds the operator was eligible for",
+    value: (result) => result.eligibleRounds,
+  },
+  {
+    name: "ewx_operator_correct_votes",
+    help: "Correct votes of the operator",
+    value: (result) => result.votes,
+  },
+  {
+    name: "ewx_operator_sla_threshold_percent",
+    help: "SLA voting threshold of the group",
+    value: (result) => parseFloat(result.slaPercentage),
+  },
+  {
+    name: "ewx_operator_meets_sla",
+    help: "1 when the vote ratio met the SLA threshold, 0 otherwise",
+    value: (result) => (result.meetsSla === null ? null : +result.meetsSla),
+  },
+  {
+    name: "ewx_operator_subscription_reward_tokens",
+    help: "Subscription rewards earned in the period, in whole tokens",
+    labels: (result) => ({ token: result.token.symbol }),
+    value: (result) =>
+      Number(formatDecimal(result.periodRewards[0], result.token)),
+  },
+  {
+    name: "ewx_operator_voting_reward_tokens",
+    help: "Voting rewards earned in the period, in whole tokens",
+    labels: (result) => ({ token: result.token.symbol }),
+    value: (result) =>
+      Number(formatDecimal(result.periodRewards[1], result.token)),
+  },
+];
+
+/// Helper to escape a label value of the Prometheus text format
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+/// Helper to format one sample of the Prometheus text format
+function formatSample(name, labels, value) {
+  const labelList = Object.entries(labels)
+    .map(([label, labelValue]) => `${label}="${escapeLabel(labelValue)}"`)
+    .join(",");
+  return `${name}{${labelList}} ${value}`;
+}
+
+/// Render the latest report of every group in the Prometheus text exposition format
+export function formatMetrics(reports) {
+  const lines = [];
+  const gauge = (name, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, ...samples);
+  };
+
+  gauge(
+    "ewx_rewards_period",
+    "Last completed reward period of the group the other metrics belong to",
+    reports.map(({ periodIndex, groupNamespace }) =>
+      formatSample("ewx_rewards_period", { group: groupNamespace }, periodIndex)
+    )
+  );
+  gauge(
+    "ewx_rewards_failed_addresses",
+    "Addresses of the group whose analysis failed for the period",
+    reports.map(({ groupNamespace, results }) =>
+      formatSample(
+        "ewx_rewards_failed_addresses",
+        { group: groupNamespace },
+        results.filter((result) => result.error).length
+      )
+    )
+  );
+
+  for (const { name, help, labels, value } of OPERATOR_METRICS) {
+    const samples = [];
+    for (const { groupNamespace, results } of reports) {
+      for (const result of results) {
+        if (result.error) continue;
+
+        // No eligible rounds leaves the ratio and the SLA outcome undefined
+        const sample = value(result);
+        if (sample === null || Number.isNaN(sample)) continue;
+
+        samples.push(
+          formatSample(
+            name,
+            {
+              group: groupNamespace,
+              address: result.address,
+              ...labels?.(result),
+            },
+            sample
+          )
+        );
+      }
+    }
+    gauge(name, help, samples);
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/// Serve the latest report of every group as Prometheus metrics at /metrics
+export async function startMetricsServer({
+  port = 8080,
+  host = "127.0.0.1",
+} = {}) {
+  // Latest report per group, replaced as soon as a newer period is reported
+  const reports = new Map();
+
+  const server = createServer((request, response) => {
+    const { pathname } = new URL(request.url, "http://localhost");
+    if (request.method !== "GET" || pathname !== "/metrics") {
+      response.statusCode = 404;
+      response.end("Not found, metrics are served at /metrics\n");
+      return;
+    }
+
+    response.setHeader("Content-Type", "text/plain; version=0.0.4");
+    response.end(formatMetrics([...reports.values()]));
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+
+  return {
+    url: `http://${host}:${server.address().port}/metrics`,
+    update: (report) => {
+      const current = reports.get(report.groupNamespace);
+      if (!current || report.periodIndex >= current.periodIndex) {
+        reports.set(report.groupNamespace, report);
+      }
+    },
+    close: () =>
+      new Promise((resolve) => {
+        server.close(resolve);
+        server.closeAllConnections();
+      }),
+  };
+}
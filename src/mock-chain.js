@@ -0,0 +1,231 @@
+import BN from "bn.js";
+import { readFileSync } from "fs";
+
+// Bump whenever the layout of fixture files changes, older files are rejected
+export const FIXTURE_VERSION = 1;
+
+// Shape of every storage item the tool reads, decides how fixture values are wrapped and
+// recorded. Options the tool decodes with toHuman() are stored in their human form
+export const STORAGE_TYPES = {
+  activeRewardPeriodInfo: "value",
+  solutionGroupStakeRecords: "humanOption",
+  solutionsGroups: "humanOption",
+  systemVotingRound: "value",
+  votes: "option",
+  numberOfVotings: "value",
+  numberOfVotingsWithNomination: "value",
+  numberOfOperatorVotingsWithNomination: "option",
+  voteMetadata: "value",
+  earnedRewards: "balances",
+  // Items of other pallets are prefixed with the pallet name
+  "timestamp.now": "value",
+};
+
+/// Load a chain fixture from a JSON file
+export function loadFixture(path) {
+  let fixture;
+  try {
+    fixture = JSON.parse(readFileSync(path, "utf8"));
+  } catch (error) {
+    throw new Error(`Failed to read fixture ${path}: ${error.message}`);
+  }
+
+  if (fixture.version !== FIXTURE_VERSION) {
+    throw new Error(
+      `Fixture ${path} has unsupported version ${fixture.version}, expected ${FIXTURE_VERSION}`
+    );
+  }
+  return fixture;
+}
+
+/// Helper to compare storage keys, numbers and strings are interchangeable
+export function fixtureKey(args) {
+  return JSON.stringify(args.flat().map(String));
+}
+
+/// Helper to wrap a fixture value like a decoded codec
+function toCodec(value) {
+  return {
+    toJSON: () => value,
+    toHuman: () => value,
+    toNumber: () => Number(value),
+    toString: () =>
+      value !== null && typeof value === "object"
+        ? JSON.stringify(value)
+        : String(value),
+  };
+}
+
+/// Helper to wrap a fixture value like an Option codec, null is None
+function toOption(value) {
+  if (value === null) {
+    return {
+      isNone: true,
+      isSome: false,
+      unwrap: () => {
+        throw new Error("Option is None");
+      },
+      toJSON: () => null,
+      toHuman: () => null,
+      toString: () => "",
+    };
+  }
+  return {
+    ...toCodec(value),
+    isNone: false,
+    isSome: true,
+    unwrap: () => toCodec(value),
+  };
+}
+
+/// Helper to wrap a list of plancks like a tuple of Balance codecs
+function toBalances(values) {
+  const balances = values.map((value) => {
+    const balance = new BN(value);
+    balance.toHuman = () => balance.toString();
+    return balance;
+  });
+  balances.toHuman = () => balances.map((balance) => balance.toString());
+  balances.toJSON = balances.toHuman;
+  return balances;
+}
+
+/// Helper to wrap a block hash like a Hash codec
+function toHash(hash) {
+  return {
+    toString: () => hash,
+    toHex: () => hash,
+    toHuman: () => hash,
+    toJSON: () => hash,
+  };
+}
+
+/// Create a stand-in for the parts of ApiPromise the tool uses, answered from a fixture
+export function createMockApi(fixture) {
+  const blocks = fixture.blocks || {};
+  const hashesByNumber = new Map(
+    Object.entries(blocks).map(([hash, block]) => [Number(block.number), hash])
+  );
+  // Fixtures without a finalized head treat their head as finalized
+  const finalizedHead = fixture.finalizedHead ?? fixture.head;
+
+  const getBlock = (blockHash) => {
+    const block = blocks[blockHash.toString()];
+    if (!block) {
+      throw new Error(`Block ${blockHash} is not in the fixture`);
+    }
+    return block;
+  };
+
+  const wrap = (name, value) => {
+    switch (STORAGE_TYPES[name]) {
+      case "option":
+      case "humanOption":
+        return toOption(value);
+      case "balances":
+        return toBalances(value);
+      default:
+        return toCodec(value);
+    }
+  };
+
+  const readStorage = (name, blockHash, args) => {
+    const key = fixtureKey(args);
+    const entry = (getBlock(blockHash).storage?.[name] || []).find(
+      ([entryArgs]) => fixtureKey(entryArgs) === key
+    );
+    if (!entry) {
+      const argList = args.flat().join(", ");
+      throw new Error(
+        `Fixture has no ${name}(${argList}) at block ${blockHash}`
+      );
+    }
+    return wrap(name, entry[1]);
+  };
+
+  const readEntries = (name, blockHash, prefix) => {
+    const prefixKey = prefix.flat().map(String);
+    return (getBlock(blockHash).storage?.[name] || [])
+      .filter(
+        ([entryArgs, value]) =>
+          value !== null &&
+          prefixKey.every((arg, i) => String(entryArgs[i]) === arg)
+      )
+      .map(([entryArgs, value]) => [
+        { args: entryArgs.map(toCodec) },
+        wrap(name, value),
+      ]);
+  };
+
+  const storageItem = (name) =>
+    Object.assign(
+      // Without a block hash, storage is read at the fixture's head
+      async (...args) => readStorage(name, fixture.head, args),
+      {
+        at: async (blockHash, ...args) => readStorage(name, blockHash, args),
+        entriesAt: async (blockHash, ...prefix) =>
+          readEntries(name, blockHash, prefix),
+      }
+    );
+
+  const query = {};
+  for (const name of Object.keys(STORAGE_TYPES)) {
+    const [pallet, item] = name.includes(".")
+      ? name.split(".")
+      : ["workerNodePallet", name];
+    query[pallet] ??= {};
+    query[pallet][item] = storageItem(name);
+  }
+
+  return {
+    isReady: Promise.resolve(),
+    genesisHash: toHash(fixture.genesisHash),
+    registry: {
+      chainDecimals: [fixture.chain?.decimals ?? 18],
+      chainTokens: [fixture.chain?.token ?? "EWT"],
+    },
+    rpc: {
+      chain: {
+        getBlockHash: async (blockNumber) => {
+          const hash = hashesByNumber.get(Number(blockNumber));
+          if (!hash) {
+            throw new Error(`Block ${blockNumber} is not in the fixture`);
+          }
+          return toHash(hash);
+        },
+        getHeader: async (blockHash = fixture.head) => {
+          const block = getBlock(blockHash);
+          return {
+            hash: toHash(blockHash.toString()),
+            number: toCodec(Number(block.number)),
+          };
+        },
+        getFinalizedHead: async () => toHash(finalizedHead),
+        // The finalized head is the only finalized block, announced once
+        subscribeFinalizedHeads: async (callback) => {
+          const timer = setTimeout(() =>
+            callback({
+              hash: toHash(finalizedHead),
+              number: toCodec(Number(getBlock(finalizedHead).number)),
+            })
+          );
+          return () => clearTimeout(timer);
+        },
+      },
+    },
+    query: {
+      ...query,
+      system: {
+        events: {
+          at: async (blockHash) =>
+            (getBlock(blockHash).events || []).map(
+              ({ section, method, data = [] }) => ({
+                event: { section, method, data: data.map(toCodec) },
+              })
+            ),
+        },
+      },
+    },
+    disconnect: async () => {},
+  };
+}
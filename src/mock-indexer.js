@@ -0,0 +1,52 @@
+import { createServer } from "http";
+
+/// Serve indexed events over a local stand-in for the GraphQL indexer
+export async function startMockIndexer(events, { port = 0 } = {}) {
+  const server = createServer((request, response) => {
+    let body = "";
+    request.on("data", (chunk) => (body += chunk));
+    request.on("end", () => {
+      response.setHeader("Content-Type", "application/json");
+
+      let variables;
+      try {
+        ({ variables = {} } = JSON.parse(body));
+      } catch (error) {
+        response.statusCode = 400;
+        response.end(
+          JSON.stringify({
+            errors: [{ message: `Invalid request: ${error.message}` }],
+          })
+        );
+        return;
+      }
+
+      // Answers the events query of queryIndexerForRewardsBlock, filtered and paged the same way
+      const {
+        fromBlock = 0,
+        toBlock = Number.MAX_SAFE_INTEGER,
+        limit = events.length,
+        offset = 0,
+      } = variables;
+      const page = events
+        .filter(
+          ({ blockNumber }) =>
+            blockNumber >= fromBlock && blockNumber <= toBlock
+        )
+        .sort((a, b) => a.blockNumber - b.blockNumber)
+        .slice(offset, offset + limit);
+
+      response.end(JSON.stringify({ data: { events: page } }));
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", resolve);
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/graphql`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
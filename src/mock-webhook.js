@@ -0,0 +1,35 @@
+import { createServer } from "http";
+
+/// Receive alerts over a local stand-in for a webhook, keeping every JSON payload it was sent
+export async function startMockWebhook({ port = 0, status = 200 } = {}) {
+  const payloads = [];
+
+  const server = createServer((request, response) => {
+    let body = "";
+    request.on("data", (chunk) => (body += chunk));
+    request.on("end", () => {
+      try {
+        payloads.push(JSON.parse(body));
+      } catch (error) {
+        response.statusCode = 400;
+        response.end(`Invalid payload: ${error.message}`);
+        return;
+      }
+
+      // Any other status lets a test check how failed deliveries are handled
+      response.statusCode = status;
+      response.end("ok");
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", resolve);
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/webhook`,
+    payloads,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,98 @@
+// Resolved periods per connection, the boundaries of a started period never change
+const resolvedPeriods = new WeakMap();
+
+/// Helper to read the reward period active at a block, or at the best block without a hash
+async function readActivePeriod(api, blockHash) {
+  const activeRewardPeriodInfo =
+    blockHash !== undefined
+      ? await api.query.workerNodePallet.activeRewardPeriodInfo.at(blockHash)
+      : await api.query.workerNodePallet.activeRewardPeriodInfo();
+  const { index, firstBlock, length } = activeRewardPeriodInfo.toJSON();
+  return { index, firstBlock, length };
+}
+
+/// Helper to search the blocks for the one where the period was active
+async function searchPeriod(api, periodIndex, reference) {
+  // Periods start at increasing blocks, so every probe rules out a whole side of the range
+  let low = 0;
+  let high = reference.firstBlock - 1;
+
+  // Assuming the current length for every earlier period lands on the right block
+  // unless the length was changed in between
+  let probe =
+    reference.firstBlock - (reference.index - periodIndex) * reference.length;
+
+  while (low <= high) {
+    if (probe < low || probe > high) {
+      probe = Math.floor((low + high) / 2);
+    }
+
+    const blockHash = await api.rpc.chain.getBlockHash(probe);
+    const period = await readActivePeriod(api, blockHash);
+    console.debug(
+      `Period ${period.index} (first block ${period.firstBlock}, length ${period.length}) active at block ${probe}`
+    );
+
+    if (period.index === periodIndex) {
+      return period;
+    }
+
+    if (period.index < periodIndex) {
+      low = Math.max(probe + 1, period.firstBlock + period.length);
+    } else {
+      high = Math.min(probe - 1, period.firstBlock - 1);
+    }
+
+    // The period found tells how far away the requested one starts at its length
+    probe = period.firstBlock + (periodIndex - period.index) * period.length;
+  }
+
+  throw new Error(`No block found where period ${periodIndex} was active`);
+}
+
+/// Read the reward period active at a block, or at the best block without a hash
+export async function getActivePeriod(api, blockHash) {
+  try {
+    return await readActivePeriod(api, blockHash);
+  } catch (error) {
+    throw new Error(`Failed to read the active period: ${error.message}`);
+  }
+}
+
+/// Resolve the real first block and length of a reward period that has started
+export async function resolvePeriod(api, periodIndex, blockHash) {
+  let periods = resolvedPeriods.get(api);
+  if (!periods) {
+    periods = new Map();
+    resolvedPeriods.set(api, periods);
+  }
+
+  if (!periods.has(periodIndex)) {
+    const resolving = (async () => {
+      try {
+        // The period active at the reference block, the best block by default
+        const reference = await readActivePeriod(api, blockHash);
+
+        if (periodIndex > reference.index) {
+          throw new Error(
+            `Period ${periodIndex} has not started yet, the active period is ${reference.index}`
+          );
+        }
+        if (periodIndex === reference.index) {
+          return reference;
+        }
+        return await searchPeriod(api, periodIndex, reference);
+      } catch (error) {
+        throw new Error(
+          `Failed to resolve period ${periodIndex}: ${error.message}`
+        );
+      }
+    })();
+
+    // Failures aren't remembered, the period may have started by the next call
+    resolving.catch(() => periods.delete(periodIndex));
+    periods.set(periodIndex, resolving);
+  }
+
+  return periods.get(periodIndex);
+}
@@ -0,0 +1,247 @@
+import BN from "bn.js";
+import { readFileSync } from "fs";
+import { extname } from "path";
+import { DEFAULT_TOKEN } from "./format.js";
+
+// A price older than this many days is treated as missing instead of being carried forward
+const MAX_PRICE_AGE_DAYS = 7;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// Decimals a price of the price file can have, prices are kept as BN in units of 10^-12
+const PRICE_DECIMALS = 12;
+// Fiat values are kept exact as BN in units of 10^-18 of the currency, and summed that way
+const FIAT_VALUE_DECIMALS = 18;
+// Fiat values are shown in cents, they're only rounded for display
+const FIAT_DECIMALS = 2;
+
+/// Helper to format a BN scaled by 10^decimals as a plain decimal string
+function formatScaled(value, decimals) {
+  const digits = value
+    .abs()
+    .toString()
+    .padStart(decimals + 1, "0");
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals);
+  return `${value.isNeg() ? "-" : ""}${whole}${
+    decimals > 0 ? `.${fraction}` : ""
+  }`;
+}
+
+/// Format a fiat value for the reports and exports, rounded half up to cents
+export function formatFiat(value) {
+  const step = new BN(10).pow(new BN(FIAT_VALUE_DECIMALS - FIAT_DECIMALS));
+  const rounded = value.abs().add(step.divn(2)).div(step);
+  return formatScaled(value.isNeg() ? rounded.neg() : rounded, FIAT_DECIMALS);
+}
+
+/// Format a price of the price file as given, without trailing zeros
+export function formatPrice(price) {
+  return formatScaled(price, PRICE_DECIMALS).replace(/\.?0+$/, "");
+}
+
+/// Helper to normalize a date of the price file to YYYY-MM-DD
+function parsePriceDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:$|[T ])/.exec(String(value).trim());
+  if (
+    !match ||
+    Number.isNaN(Date.parse(`${match[0].slice(0, 10)}T00:00:00Z`))
+  ) {
+    throw new Error(`invalid date "${value}", expected YYYY-MM-DD`);
+  }
+  return match[0].slice(0, 10);
+}
+
+/// Helper to validate a price of the price file and read it exactly, as a BN in units of 10^-12
+function parsePrice(value, date) {
+  // Prices are parsed from their decimal digits, so they're never rounded to the nearest float
+  const match =
+    typeof value === "number" || typeof value === "string"
+      ? /^(\d+)(?:\.(\d+))?$/.exec(String(value).trim())
+      : null;
+  if (!match) {
+    throw new Error(`invalid price "${value}" for ${date}`);
+  }
+
+  const [, whole, fraction = ""] = match;
+  if (fraction.length > PRICE_DECIMALS) {
+    throw new Error(
+      `invalid price "${value}" for ${date}, it has more than ${PRICE_DECIMALS} decimals`
+    );
+  }
+  return new BN(whole + fraction.padEnd(PRICE_DECIMALS, "0"));
+}
+
+/// Helper to read the (date, price) entries of a CSV file, with an optional header line
+function parseCsvPrices(text) {
+  const entries = [];
+
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith("#")) continue;
+
+    const [date, price] = line.split(",").map((field) => field.trim());
+    // A first line that doesn't start with a date is the header
+    if (entries.length === 0 && !/^\d{4}-\d{2}-\d{2}/.test(date)) continue;
+
+    entries.push([date, price]);
+  }
+  return entries;
+}
+
+/// Helper to read the (date, price) entries of a JSON file, either { date: price } or [{ date, price }]
+function parseJsonPrices(text) {
+  const data = JSON.parse(text);
+  if (Array.isArray(data)) {
+    return data.map((entry) => [entry.date, entry.price]);
+  }
+  if (data && typeof data === "object") {
+    return Object.entries(data);
+  }
+  throw new Error(
+    "expected an object of date to price or an array of { date, price }"
+  );
+}
+
+/// Load a daily price series of the native token from a CSV or JSON file
+export function loadPriceSeries(path, currency) {
+  let prices;
+  try {
+    const text = readFileSync(path, "utf8");
+    const entries =
+      extname(path).toLowerCase() === ".json"
+        ? parseJsonPrices(text)
+        : parseCsvPrices(text);
+
+    prices = new Map();
+    for (const [date, price] of entries) {
+      const day = parsePriceDate(date);
+      if (prices.has(day)) {
+        throw new Error(`duplicate price for ${day}`);
+      }
+      prices.set(day, parsePrice(price, day));
+    }
+    if (prices.size === 0) {
+      throw new Error("no prices found");
+    }
+  } catch (error) {
+    throw new Error(`Failed to load price file ${path}: ${error.message}`);
+  }
+
+  const dates = [...prices.keys()].sort();
+  console.log(
+    `💱 Loaded ${dates.length} ${currency} prices from ${path} (${
+      dates[0]
+    } to ${dates[dates.length - 1]})`
+  );
+
+  return {
+    currency,
+    path,
+    /// Price of the UTC day of a timestamp, or of the latest earlier day with a price
+    getPrice(timestamp) {
+      const day = new Date(timestamp).toISOString().slice(0, 10);
+
+      let date = null;
+      for (const candidate of dates) {
+        if (candidate > day) break;
+        date = candidate;
+      }
+      if (
+        date === null ||
+        Date.parse(day) - Date.parse(date) > MAX_PRICE_AGE_DAYS * MS_PER_DAY
+      ) {
+        return null;
+      }
+      return { date, price: prices.get(date) };
+    },
+  };
+}
+
+/// Helper to convert a raw token amount to its fiat value at a price, in units of 10^-18.
+/// Digits beyond that are cut off, far below the cents the value is shown in
+function toFiat(amount, price, token) {
+  const scale = token.decimals + PRICE_DECIMALS - FIAT_VALUE_DECIMALS;
+  const value = amount.mul(price);
+  return scale >= 0
+    ? value.div(new BN(10).pow(new BN(scale)))
+    : value.mul(new BN(10).pow(new BN(-scale)));
+}
+
+/// Value the rewards of a period at the price of the day they were credited, null without a price.
+/// The values are BN in units of 10^-18 of the currency, see formatFiat
+export function valueRewards(
+  periodRewards,
+  creditedAt,
+  prices,
+  token = DEFAULT_TOKEN
+) {
+  const quote = prices.getPrice(creditedAt);
+  if (!quote) return null;
+
+  const [subscription, voting] = periodRewards;
+  return {
+    currency: prices.currency,
+    priceDate: quote.date,
+    price: quote.price,
+    subscription: toFiat(subscription, quote.price, token),
+    voting: toFiat(voting, quote.price, token),
+    total: toFiat(subscription.add(voting), quote.price, token),
+  };
+}
+
+/// Total the rewards and their fiat value per calendar year of the credit (UTC) and address
+export function summarizeFiatByYear(results) {
+  const years = new Map();
+
+  for (const result of results) {
+    if (result.error) continue;
+    // Every analyzed period is dated by its credit, an undated one can't be put in a year
+    if (!result.creditedAt) {
+      throw new Error(
+        `Rewards of period ${result.periodIndex} for ${result.address} have no credit time`
+      );
+    }
+
+    const year = new Date(result.creditedAt).getUTCFullYear();
+    const key = `${year}:${result.groupNamespace}:${result.address}`;
+    if (!years.has(key)) {
+      years.set(key, {
+        year,
+        group: result.groupNamespace,
+        address: result.address,
+        currency: result.fiatValue?.currency ?? null,
+        token: result.token,
+        periods: 0,
+        unpriced: 0,
+        rewards: [new BN(0), new BN(0)],
+        fiat: { subscription: new BN(0), voting: new BN(0), total: new BN(0) },
+      });
+    }
+
+    const summary = years.get(key);
+    summary.periods++;
+    summary.rewards = [
+      summary.rewards[0].add(result.periodRewards[0]),
+      summary.rewards[1].add(result.periodRewards[1]),
+    ];
+
+    // Rewards without a price count towards the tokens only, and are flagged for the accountant
+    if (!result.fiatValue) {
+      summary.unpriced++;
+      continue;
+    }
+    summary.currency = result.fiatValue.currency;
+    summary.fiat = {
+      subscription: summary.fiat.subscription.add(
+        result.fiatValue.subscription
+      ),
+      voting: summary.fiat.voting.add(result.fiatValue.voting),
+      total: summary.fiat.total.add(result.fiatValue.total),
+    };
+  }
+
+  return [...years.values()].sort(
+    (a, b) =>
+      a.year - b.year ||
+      a.group.localeCompare(b.group) ||
+      a.address.localeCompare(b.address)
+  );
+}
@@ -0,0 +1,213 @@
+import { writeFileSync } from "fs";
+import { createServer } from "http";
+import { FIXTURE_VERSION, STORAGE_TYPES, fixtureKey } from "./mock-chain.js";
+
+/// Helper to convert a storage value into its fixture form, see STORAGE_TYPES
+function encodeStorage(name, value) {
+  switch (STORAGE_TYPES[name]) {
+    case "option":
+      return value.isNone
+        ? null
+        : (value.isSome ? value.unwrap() : value).toJSON();
+    case "humanOption":
+      return value.isNone ? null : value.unwrap().toHuman();
+    case "balances":
+      return [value[0].toString(), value[1].toString()];
+    default:
+      return value.toJSON();
+  }
+}
+
+/// Wrap an ApiPromise so every storage query and RPC call the tool makes is recorded as a fixture
+export function createRecorder(api) {
+  const fixture = {
+    version: FIXTURE_VERSION,
+    description: `Recorded on ${new Date().toISOString()}`,
+    genesisHash: api.genesisHash.toHex(),
+    chain: {
+      decimals: api.registry.chainDecimals[0],
+      token: api.registry.chainTokens[0],
+    },
+    head: null,
+    finalizedHead: null,
+    blocks: {},
+    indexer: { events: [] },
+  };
+
+  const getBlock = (blockHash) => {
+    const hash = blockHash.toString();
+    fixture.blocks[hash] ??= {};
+    return fixture.blocks[hash];
+  };
+
+  const storeValue = (name, blockHash, args, value) => {
+    const block = getBlock(blockHash);
+    block.storage ??= {};
+    block.storage[name] ??= [];
+
+    // Later reads of the same key replace the earlier value
+    const key = fixtureKey(args);
+    const entries = block.storage[name].filter(
+      ([entryArgs]) => fixtureKey(entryArgs) !== key
+    );
+    entries.push([args, value]);
+    block.storage[name] = entries;
+  };
+
+  // Storage read without a block hash is pinned to the best block at the time of the first read
+  let headHash = null;
+  const getHeadHash = async () => {
+    if (!headHash) {
+      const header = await api.rpc.chain.getHeader();
+      headHash = header.hash.toHex();
+      getBlock(headHash).number = header.number.toNumber();
+      fixture.head = headHash;
+    }
+    return headHash;
+  };
+
+  const recordingItem = (name, item) => {
+    const at = async (blockHash, ...args) => {
+      const value = await item.at(blockHash, ...args);
+      storeValue(name, blockHash, args, encodeStorage(name, value));
+      return value;
+    };
+
+    return Object.assign(async (...args) => at(await getHeadHash(), ...args), {
+      at,
+      entriesAt: async (blockHash, ...prefix) => {
+        const entries = await item.entriesAt(blockHash, ...prefix);
+        for (const [key, value] of entries) {
+          // Keep the prefix as passed so replayed lookups match, the remaining keys as strings
+          const args = [
+            ...prefix,
+            ...key.args.slice(prefix.length).map((arg) => arg.toString()),
+          ];
+          storeValue(name, blockHash, args, encodeStorage(name, value));
+        }
+        return entries;
+      },
+    });
+  };
+
+  const query = {};
+  for (const name of Object.keys(STORAGE_TYPES)) {
+    const [pallet, item] = name.includes(".")
+      ? name.split(".")
+      : ["workerNodePallet", name];
+    query[pallet] ??= {};
+    query[pallet][item] = recordingItem(name, api.query[pallet][item]);
+  }
+
+  const recordingApi = {
+    isReady: api.isReady,
+    genesisHash: api.genesisHash,
+    registry: api.registry,
+    rpc: {
+      chain: {
+        getBlockHash: async (blockNumber) => {
+          const blockHash = await api.rpc.chain.getBlockHash(blockNumber);
+          getBlock(blockHash).number = Number(blockNumber);
+          return blockHash;
+        },
+        getFinalizedHead: async () => {
+          const finalizedHash = await api.rpc.chain.getFinalizedHead();
+          fixture.finalizedHead = finalizedHash.toHex();
+          return finalizedHash;
+        },
+        getHeader: async (blockHash) => {
+          if (blockHash === undefined) {
+            blockHash = await getHeadHash();
+          }
+          const header = await api.rpc.chain.getHeader(blockHash);
+          getBlock(blockHash).number = header.number.toNumber();
+          return header;
+        },
+      },
+    },
+    query: {
+      ...query,
+      system: {
+        events: {
+          at: async (blockHash) => {
+            const events = await api.query.system.events.at(blockHash);
+            getBlock(blockHash).events = events.map(({ event }) => ({
+              section: event.section,
+              method: event.method,
+              data: event.data.map((value) => value.toJSON()),
+            }));
+            return events;
+          },
+        },
+      },
+    },
+    disconnect: () => api.disconnect(),
+  };
+
+  return {
+    api: recordingApi,
+    indexerEvents: fixture.indexer.events,
+    save(path) {
+      // Blocks in chain order keep recorded fixtures readable and diffable
+      fixture.blocks = Object.fromEntries(
+        Object.entries(fixture.blocks).sort(
+          ([, a], [, b]) => (a.number ?? 0) - (b.number ?? 0)
+        )
+      );
+      if (fixture.indexer.events.length === 0) {
+        delete fixture.indexer;
+      }
+      if (!fixture.finalizedHead) {
+        delete fixture.finalizedHead;
+      }
+      writeFileSync(path, JSON.stringify(fixture, null, 2) + "\n");
+    },
+  };
+}
+
+/// Proxy GraphQL requests to the indexer and record the events of every response
+export async function startRecordingIndexer(indexerUrl, events) {
+  const server = createServer((request, response) => {
+    let body = "";
+    request.on("data", (chunk) => (body += chunk));
+    request.on("end", async () => {
+      try {
+        const upstream = await fetch(indexerUrl, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body,
+        });
+        const text = await upstream.text();
+
+        try {
+          for (const event of JSON.parse(text).data?.events ?? []) {
+            if (!events.some(({ id }) => id === event.id)) {
+              events.push(event);
+            }
+          }
+        } catch {
+          // Not a GraphQL result, forward it unchanged and let the caller report it
+        }
+
+        response.statusCode = upstream.status;
+        response.setHeader("Content-Type", "application/json");
+        response.end(text);
+      } catch (error) {
+        response.statusCode = 502;
+        response.end(JSON.stringify({ errors: [{ message: error.message }] }));
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", resolve);
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/graphql`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
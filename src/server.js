@@ -0,0 +1,237 @@
+import { createServer } from "http";
+import { getActivePeriod } from "./periods.js";
+import {
+  analyzeAddress,
+  getGroupSubscribers,
+  rankResults,
+  resolvePeriodBlocks,
+  resolvePeriodContext,
+} from "./analysis.js";
+import { cached } from "./cache.js";
+import { serializeBlocks, serializeResult } from "./json.js";
+
+// Responses of calculated periods never change, the most recently used ones are kept in memory
+const RESPONSE_CACHE_SIZE = 1000;
+// Resolved contexts of the most recently requested (period, group) pairs kept in memory
+const CONTEXT_CACHE_SIZE = 100;
+// Errors of the analysis that mean the requested data doesn't exist (yet)
+const NOT_FOUND_ERRORS = [
+  "was not subscribed",
+  "does not exist",
+  "has not been emitted yet",
+  "has not started yet",
+  "is in the future",
+];
+
+/// Helper to create an error answered with an HTTP status other than 500
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/// Helper to decode a path segment, a malformed percent-encoding is the client's mistake
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw httpError(400, `Malformed path segment: ${segment}`);
+  }
+}
+
+/// Helper to read an entry of a least recently used map, marking it as the most recently used
+function touch(map, key) {
+  const value = map.get(key);
+  map.delete(key);
+  map.set(key, value);
+  return value;
+}
+
+/// Helper to add an entry to a least recently used map, evicting the oldest one beyond the limit
+function remember(map, key, value, limit) {
+  map.set(key, value);
+  if (map.size > limit) {
+    map.delete(map.keys().next().value);
+  }
+}
+
+/// Helper to parse the period of a request, which must be a positive integer
+function parsePeriod(value) {
+  if (!/^\d+$/.test(value ?? "") || Number(value) <= 0) {
+    throw httpError(
+      400,
+      `period must be a positive integer, but got: ${value ?? ""}`
+    );
+  }
+  return Number(value);
+}
+
+/// Serve reward reports over HTTP, sharing one connection and the period contexts between requests
+export async function startRewardsServer(
+  api,
+  { port = 8080, host = "127.0.0.1", ...options } = {}
+) {
+  const responses = new Map();
+  // Period contexts are shared by every request of the same period and group, also while resolving
+  const contexts = new Map();
+
+  const getContext = (periodIndex, groupNs, probe) => {
+    const key = `${periodIndex}:${groupNs}`;
+    if (contexts.has(key)) {
+      return touch(contexts, key);
+    }
+
+    const resolving = resolvePeriodContext(api, periodIndex, groupNs, {
+      ...options,
+      probe,
+    });
+    // Failures aren't remembered, the rewards may have been calculated by the next request
+    resolving.catch(() => {
+      if (contexts.get(key) === resolving) contexts.delete(key);
+    });
+    remember(contexts, key, resolving, CONTEXT_CACHE_SIZE);
+    return resolving;
+  };
+
+  /// Helper to reject periods whose rewards can't have been calculated before searching for them
+  const checkCalculated = async (periodIndex) => {
+    const { index } = await getActivePeriod(api);
+    if (periodIndex >= index) {
+      throw httpError(
+        404,
+        `Rewards for period ${periodIndex} have not been calculated yet, the active period is ${index}`
+      );
+    }
+  };
+
+  const routes = [
+    {
+      pattern: /^\/periods\/([^/]+)\/groups\/([^/]+)\/addresses\/([^/]+)$/,
+      handle: async ([period, groupNs, address]) => {
+        const periodIndex = parsePeriod(period);
+        await checkCalculated(periodIndex);
+
+        const context = await getContext(periodIndex, groupNs, {
+          address,
+          groupNs,
+        });
+        const result = await analyzeAddress(api, context, address, options);
+        return serializeResult(result);
+      },
+    },
+    {
+      pattern: /^\/periods\/([^/]+)\/blocks$/,
+      handle: async ([period]) => {
+        const periodIndex = parsePeriod(period);
+        await checkCalculated(periodIndex);
+
+        const { blockHash, initialBlockHash } = await resolvePeriodBlocks(
+          api,
+          periodIndex,
+          options
+        );
+        return serializeBlocks({ periodIndex, blockHash, initialBlockHash });
+      },
+    },
+    {
+      pattern: /^\/groups\/([^/]+)\/leaderboard$/,
+      handle: async ([groupNs], query) => {
+        const periodIndex = parsePeriod(query.get("period"));
+        await checkCalculated(periodIndex);
+
+        const context = await getContext(periodIndex, groupNs);
+        const subscribers = await cached(
+          options.cache,
+          `subscribers:${periodIndex}:${groupNs}`,
+          () => getGroupSubscribers(api, periodIndex, groupNs)
+        );
+
+        const results = [];
+        for (const address of subscribers) {
+          try {
+            results.push(await analyzeAddress(api, context, address, options));
+          } catch (error) {
+            console.log(`⚠️  Skipping ${address}: ${error.message}`);
+            results.push({
+              periodIndex,
+              groupNamespace: groupNs,
+              address,
+              error: error.message,
+            });
+          }
+        }
+
+        return {
+          period: periodIndex,
+          group: groupNs,
+          results: rankResults(results).map(serializeResult),
+          // Failed addresses may succeed on a later request, so the response isn't cached
+          complete: results.every((result) => !result.error),
+        };
+      },
+    },
+  ];
+
+  /// Helper to answer a request, returns the status and the JSON body
+  const answer = async (request) => {
+    if (request.method !== "GET") {
+      throw httpError(405, `Method ${request.method} is not allowed`);
+    }
+
+    const url = new URL(request.url, "http://localhost");
+    const cacheKey = url.pathname + url.search;
+    if (responses.has(cacheKey)) {
+      return touch(responses, cacheKey);
+    }
+
+    for (const { pattern, handle } of routes) {
+      const match = url.pathname.match(pattern);
+      if (!match) continue;
+
+      const body = await handle(
+        match.slice(1).map(decodeSegment),
+        url.searchParams
+      );
+      options.cache?.save();
+
+      if (body.complete !== false) {
+        remember(responses, cacheKey, body, RESPONSE_CACHE_SIZE);
+      }
+      return body;
+    }
+
+    throw httpError(404, `No route for ${url.pathname}`);
+  };
+
+  const server = createServer(async (request, response) => {
+    let status = 200;
+    let body;
+    try {
+      body = await answer(request);
+    } catch (error) {
+      status =
+        error.status ??
+        (NOT_FOUND_ERRORS.some((message) => error.message.includes(message))
+          ? 404
+          : 500);
+      body = { error: error.message };
+    }
+
+    console.log(`🌐 ${request.method} ${request.url} ${status}`);
+    response.statusCode = status;
+    response.setHeader("Content-Type", "application/json");
+    response.end(JSON.stringify(body, null, 2) + "\n");
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+
+  return {
+    url: `http://${host}:${server.address().port}`,
+    close: () =>
+      new Promise((resolve) => {
+        server.close(resolve);
+        server.closeAllConnections();
+      }),
+  };
+}
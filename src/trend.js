@@ -0,0 +1,406 @@
+import BN from "bn.js";
+import { DEFAULT_TOKEN, formatAmount, formatDecimal } from "./format.js";
+
+// Size of the line charts in pixels, and the room around the plot for the axis labels
+const CHART_WIDTH = 720;
+const CHART_HEIGHT = 260;
+const CHART_PADDING = { top: 16, right: 16, bottom: 32, left: 56 };
+// At most this many period labels on the x axis, the others are skipped
+const MAX_AXIS_LABELS = 12;
+
+const COLORS = {
+  voteRatio: "#2563eb",
+  sla: "#dc2626",
+  subscription: "#059669",
+  voting: "#d97706",
+  total: "#7c3aed",
+};
+
+/// Helper to escape text for HTML
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/// Helper to format a change with its sign, or a dash when there is nothing to compare with
+function formatChange(value, unit) {
+  if (value === null) return "–";
+  return `${value > 0 ? "+" : ""}${value.toFixed(2)}${unit}`;
+}
+
+/// Helper to collect the per-period trend of one address, with the changes from its previous period
+function buildTrend(results) {
+  let previous = null;
+  const periods = [...results]
+    .sort((a, b) => a.periodIndex - b.periodIndex)
+    .map((result) => {
+      if (result.error) {
+        return { periodIndex: result.periodIndex, error: result.error };
+      }
+
+      const [subscription, voting] = result.periodRewards;
+      const total = subscription.add(voting);
+      const period = {
+        periodIndex: result.periodIndex,
+        voteRatio: result.voteRatio,
+        slaThreshold: parseFloat(result.slaPercentage),
+        meetsSla: result.meetsSla,
+        subscription,
+        voting,
+        total,
+        // Changes are taken from the previous period that was analyzed successfully
+        voteRatioChange:
+          previous?.voteRatio != null && result.voteRatio !== null
+            ? result.voteRatio - previous.voteRatio
+            : null,
+        rewardChange:
+          previous && !previous.total.isZero()
+            ? Number(
+                total
+                  .sub(previous.total)
+                  .muln(10000)
+                  .div(previous.total)
+                  .toString()
+              ) / 100
+            : null,
+      };
+      previous = period;
+      return period;
+    });
+
+  // Consecutive periods that missed the SLA, a failed or unknown period ends a streak
+  const streaks = [];
+  let streak = null;
+  for (const period of periods) {
+    if (period.meetsSla === false) {
+      if (streak && period.periodIndex === streak.toPeriod + 1) {
+        streak.toPeriod = period.periodIndex;
+        streak.length++;
+      } else {
+        streak = {
+          fromPeriod: period.periodIndex,
+          toPeriod: period.periodIndex,
+          length: 1,
+        };
+        streaks.push(streak);
+      }
+    } else {
+      streak = null;
+    }
+  }
+
+  const analyzed = periods.filter((period) => !period.error);
+  const ratios = analyzed
+    .map((period) => period.voteRatio)
+    .filter((ratio) => ratio !== null);
+  const summary = {
+    periods: periods.length,
+    failed: periods.length - analyzed.length,
+    metSla: analyzed.filter((period) => period.meetsSla === true).length,
+    missedSla: analyzed.filter((period) => period.meetsSla === false).length,
+    averageVoteRatio:
+      ratios.length > 0
+        ? ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length
+        : null,
+    totalRewards:
+      analyzed.length > 0
+        ? analyzed.reduce((sum, period) => sum.add(period.total), new BN(0))
+        : null,
+    longestStreak: Math.max(0, ...streaks.map(({ length }) => length)),
+  };
+
+  return { periods, streaks, summary };
+}
+
+/// Helper to draw an SVG line chart over the periods, a null value leaves a gap in its line
+function lineChart(periodIndexes, series, { max, unit }) {
+  const { top, right, bottom, left } = CHART_PADDING;
+  const width = CHART_WIDTH - left - right;
+  const height = CHART_HEIGHT - top - bottom;
+  const scaleMax = max > 0 ? max : 1;
+
+  const x = (i) =>
+    left +
+    (periodIndexes.length > 1
+      ? (i * width) / (periodIndexes.length - 1)
+      : width / 2);
+  const y = (value) => top + height - (value / scaleMax) * height;
+
+  const parts = [];
+  for (let step = 0; step <= 4; step++) {
+    const value = (scaleMax * step) / 4;
+    parts.push(
+      `<line x1="${left}" x2="${left + width}" y1="${y(value)}" y2="${y(
+        value
+      )}" stroke="#e5e7eb"/>`,
+      `<text x="${left - 6}" y="${
+        y(value) + 4
+      }" text-anchor="end">${value.toFixed(unit === "%" ? 0 : 2)}${unit}</text>`
+    );
+  }
+
+  const labelEvery = Math.ceil(periodIndexes.length / MAX_AXIS_LABELS);
+  periodIndexes.forEach((periodIndex, i) => {
+    if (i % labelEvery !== 0) return;
+    parts.push(
+      `<text x="${x(i)}" y="${
+        top + height + 20
+      }" text-anchor="middle">${periodIndex}</text>`
+    );
+  });
+
+  for (const { label, color, values, dashed } of series) {
+    // Split the line at missing values so failed periods don't look like a trend
+    let segment = [];
+    const segments = [segment];
+    values.forEach((value, i) => {
+      if (value === null) {
+        segment = [];
+        segments.push(segment);
+      } else {
+        segment.push(`${x(i)},${y(value)}`);
+      }
+    });
+    for (const points of segments.filter((points) => points.length > 0)) {
+      parts.push(
+        `<polyline fill="none" stroke="${color}" stroke-width="2"${
+          dashed ? ' stroke-dasharray="6 4"' : ""
+        } points="${points.join(" ")}"/>`
+      );
+    }
+
+    values.forEach((value, i) => {
+      if (value === null || dashed) return;
+      parts.push(
+        `<circle cx="${x(i)}" cy="${y(
+          value
+        )}" r="3" fill="${color}"><title>${escapeHtml(
+          `${label}, period ${periodIndexes[i]}: ${value.toFixed(2)}${unit}`
+        )}</title></circle>`
+      );
+    });
+  }
+
+  const legend = series
+    .map(
+      ({ label, color }) =>
+        `<span class="legend"><span class="swatch" style="background:${color}"></span>${escapeHtml(
+          label
+        )}</span>`
+    )
+    .join("");
+
+  return `<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img">${parts.join(
+    ""
+  )}</svg><div>${legend}</div>`;
+}
+
+/// Helper to render the trend of one address, `amounts` are the token and precision of the amounts
+function renderAddress(address, results, amounts) {
+  const { symbol } = amounts.token;
+  const { periods, streaks, summary } = buildTrend(results);
+  const periodIndexes = periods.map(({ periodIndex }) => periodIndex);
+  const valueOf = (getValue) =>
+    periods.map((period) => (period.error ? null : getValue(period)));
+  const toNumber = (amount) => Number(formatDecimal(amount, amounts.token));
+
+  const voteChart = lineChart(
+    periodIndexes,
+    [
+      {
+        label: "Vote ratio",
+        color: COLORS.voteRatio,
+        values: valueOf(({ voteRatio }) => voteRatio),
+      },
+      {
+        label: "SLA threshold",
+        color: COLORS.sla,
+        values: valueOf(({ slaThreshold }) => slaThreshold),
+        dashed: true,
+      },
+    ],
+    { max: 100, unit: "%" }
+  );
+
+  const rewardSeries = [
+    [
+      "Subscription",
+      COLORS.subscription,
+      ({ subscription }) => toNumber(subscription),
+    ],
+    ["Voting", COLORS.voting, ({ voting }) => toNumber(voting)],
+    ["Total", COLORS.total, ({ total }) => toNumber(total)],
+  ].map(([label, color, getValue]) => ({
+    label,
+    color,
+    values: valueOf(getValue),
+  }));
+  const rewardChart = lineChart(periodIndexes, rewardSeries, {
+    max: Math.max(
+      0,
+      ...rewardSeries.flatMap(({ values }) =>
+        values.filter((value) => value !== null)
+      )
+    ),
+    unit: ` ${symbol}`,
+  });
+
+  const summaryRows = [
+    ["Periods", summary.periods],
+    ["Failed Analyses", summary.failed],
+    ["Met SLA", `${summary.metSla}/${summary.periods - summary.failed}`],
+    ["Missed SLA", summary.missedSla],
+    [
+      "Average Vote Ratio",
+      summary.averageVoteRatio === null
+        ? "–"
+        : `${summary.averageVoteRatio.toFixed(2)}%`,
+    ],
+    [
+      "Total Rewards",
+      summary.totalRewards
+        ? formatAmount(summary.totalRewards, { ...amounts, withSymbol: true })
+        : "–",
+    ],
+    [
+      "Longest SLA Miss Streak",
+      `${summary.longestStreak} ${
+        summary.longestStreak === 1 ? "period" : "periods"
+      }`,
+    ],
+  ]
+    .map(
+      ([title, value]) =>
+        `<tr><th>${title}</th><td>${escapeHtml(value)}</td></tr>`
+    )
+    .join("");
+
+  const periodRows = periods
+    .map((period) => {
+      if (period.error) {
+        return `<tr class="error"><td>${
+          period.periodIndex
+        }</td><td colspan="8">❌ ${escapeHtml(period.error)}</td></tr>`;
+      }
+      const sla =
+        period.meetsSla === null ? "–" : period.meetsSla ? "✅" : "❌";
+      return `<tr${period.meetsSla === false ? ' class="missed"' : ""}><td>${
+        period.periodIndex
+      }</td><td>${
+        period.voteRatio === null ? "–" : `${period.voteRatio.toFixed(2)}%`
+      }</td><td>${formatChange(period.voteRatioChange, " pp")}</td><td>${
+        period.slaThreshold
+      }%</td><td>${sla}</td><td>${formatAmount(
+        period.subscription,
+        amounts
+      )}</td><td>${formatAmount(period.voting, amounts)}</td><td>${formatAmount(
+        period.total,
+        amounts
+      )}</td><td>${formatChange(period.rewardChange, "%")}</td></tr>`;
+    })
+    .join("");
+
+  const streakList =
+    streaks.length === 0
+      ? "<p>No SLA misses in these periods.</p>"
+      : `<ul>${streaks
+          .map(
+            ({ fromPeriod, toPeriod, length }) =>
+              `<li>${
+                length === 1
+                  ? `Period ${fromPeriod}`
+                  : `Periods ${fromPeriod}–${toPeriod}`
+              }: ${length} consecutive ${length === 1 ? "miss" : "misses"}</li>`
+          )
+          .join("")}</ul>`;
+
+  return `<section>
+<h2>${escapeHtml(address)}</h2>
+<table class="summary">${summaryRows}</table>
+<h3>Vote Ratio</h3>
+${voteChart}
+<h3>Period Rewards</h3>
+${rewardChart}
+<h3>SLA Miss Streaks</h3>
+${streakList}
+<h3>Periods</h3>
+<table>
+<tr><th>Period</th><th>Vote Ratio</th><th>Change</th><th>SLA Threshold</th><th>Meets SLA</th><th>Subscription ${symbol}</th><th>Voting ${symbol}</th><th>Total ${symbol}</th><th>Change</th></tr>
+${periodRows}
+</table>
+</section>`;
+}
+
+/// Self-contained HTML trend report with charts, one section per address. Amounts are shown in
+/// `token` with `precision` decimals
+export function toHtml(
+  results,
+  groupNamespace,
+  { token = DEFAULT_TOKEN, precision } = {}
+) {
+  // Leaderboard periods that failed before their subscribers were known have no address
+  const groupFailures = results.filter(({ address }) => address === undefined);
+  const addresses = [
+    ...new Set(
+      results
+        .filter(({ address }) => address !== undefined)
+        .map(({ address }) => address)
+    ),
+  ];
+  const periodIndexes = results.map(({ periodIndex }) => periodIndex);
+  // A run without results still writes a page, saying there is nothing to show
+  const range =
+    periodIndexes.length > 0
+      ? `${Math.min(...periodIndexes)}–${Math.max(...periodIndexes)}`
+      : "none";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Reward trend of ${escapeHtml(groupNamespace)}, periods ${range}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 960px; color: #111827; }
+section { margin-bottom: 3rem; }
+h2 { font-family: monospace; font-size: 1.1rem; border-bottom: 1px solid #d1d5db; padding-bottom: 0.5rem; }
+table { border-collapse: collapse; margin: 0.5rem 0; font-size: 0.9rem; }
+th, td { border: 1px solid #e5e7eb; padding: 0.25rem 0.6rem; text-align: right; }
+th { background: #f9fafb; }
+.summary th { text-align: left; }
+tr.missed td { background: #fef2f2; }
+tr.error td { background: #f3f4f6; color: #6b7280; text-align: left; }
+svg { width: 100%; height: auto; font-size: 11px; fill: #6b7280; }
+.legend { margin-right: 1rem; font-size: 0.85rem; }
+.swatch { display: inline-block; width: 12px; height: 12px; margin-right: 4px; vertical-align: middle; }
+</style>
+</head>
+<body>
+<h1>Reward Trend</h1>
+<p>Group ${escapeHtml(
+    groupNamespace
+  )}, periods ${range}, generated ${escapeHtml(new Date().toISOString())}</p>
+${results.length === 0 ? "<p>No periods were analyzed.</p>" : ""}
+${groupFailures
+  .map(
+    ({ periodIndex, error }) =>
+      `<p>Period ${periodIndex} failed for the whole group: ${escapeHtml(
+        error
+      )}</p>`
+  )
+  .join("\n")}
+${addresses
+  .map((address) =>
+    renderAddress(
+      address,
+      results.filter((result) => result.address === address),
+      { token, precision }
+    )
+  )
+  .join("\n")}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,291 @@
+import { getActivePeriod } from "./periods.js";
+import {
+  analyzeAddress,
+  getGroupSubscribers,
+  resolvePeriodBlocks,
+  resolvePeriodContext,
+} from "./analysis.js";
+
+// Delay before reconnecting after the connection dropped, doubled after every failed attempt
+const RECONNECT_DELAY = 5000;
+const MAX_RECONNECT_DELAY = 5 * 60 * 1000;
+// Finalized blocks skipped by a larger jump are caught up by period instead of block by block
+const MAX_BLOCK_GAP = 100;
+// A period that failed this many times in a row is reported as failed, so the watch moves on
+const MAX_PERIOD_ATTEMPTS = 5;
+
+/// Helper to wait for a delay, returning early when the watch is stopped
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        resolve();
+      },
+      { once: true }
+    );
+  });
+}
+
+/// Helper to read the periods of the RewardsCalculatedForPeriod events of a block
+async function getRewardsCalculatedPeriods(api, blockHash) {
+  const events = await api.query.system.events.at(blockHash);
+  return events
+    .filter(
+      ({ event }) =>
+        event.section === "workerNodePallet" &&
+        event.method === "RewardsCalculatedForPeriod"
+    )
+    .map(({ event }) => Number(event.data[0].toString()));
+}
+
+/// Helper to find the latest period whose rewards are calculated, and its block when it's the previous one
+async function getLatestCalculatedPeriod(api, activePeriod, options) {
+  try {
+    const { blockHash } = await resolvePeriodBlocks(
+      api,
+      activePeriod - 1,
+      options
+    );
+    return { periodIndex: activePeriod - 1, blockHash };
+  } catch (error) {
+    if (!error.message.includes("has not been emitted yet")) throw error;
+    return { periodIndex: activePeriod - 2 };
+  }
+}
+
+/// Analyze every address of a group for a period whose rewards were calculated
+export async function reportPeriod(
+  api,
+  periodIndex,
+  groupNs,
+  { addresses = [], ...options } = {}
+) {
+  const context = await resolvePeriodContext(api, periodIndex, groupNs, {
+    ...options,
+    probe:
+      addresses.length > 0 ? { address: addresses[0], groupNs } : undefined,
+  });
+
+  // Without configured addresses every subscriber of the group is reported
+  const reported =
+    addresses.length > 0
+      ? addresses
+      : await getGroupSubscribers(api, periodIndex, groupNs);
+
+  const results = [];
+  for (const address of reported) {
+    try {
+      results.push(await analyzeAddress(api, context, address, options));
+    } catch (error) {
+      console.log(
+        `❌ Period ${periodIndex} failed for ${address}: ${error.message}`
+      );
+      results.push({
+        periodIndex,
+        groupNamespace: groupNs,
+        address,
+        error: error.message,
+      });
+    }
+  }
+
+  options.cache?.save();
+  return results;
+}
+
+/// Watch finalized blocks and report every period of the groups once its rewards are calculated.
+/// `state` is `{ lastBlock, periods: { [group]: lastReportedPeriod } }`, mutated as the watch
+/// progresses and passed to `onStateChange` so a restarted watch catches up from it.
+/// With `reportLatest`, a first start reports the latest calculated period right away
+export async function watchRewards(
+  connect,
+  {
+    groups,
+    addresses = [],
+    state = {},
+    options = {},
+    reportLatest = false,
+    onReport,
+    onStateChange = () => {},
+    signal,
+  }
+) {
+  state.periods ??= {};
+  let delay = RECONNECT_DELAY;
+  // Failed attempts of the period each group is stuck at, kept across reconnects
+  const attempts = new Map();
+
+  /// Helper to report the periods of a group after the last reported one, up to a period
+  const reportUpTo = async (api, groupNs, periodIndex, blockHash) => {
+    for (
+      let period = state.periods[groupNs] + 1;
+      period <= periodIndex;
+      period++
+    ) {
+      console.log(`\n📅 Reporting period ${period} of group ${groupNs}...`);
+
+      // Only the block of the watched event is known, earlier periods are looked up
+      let results;
+      try {
+        results = await reportPeriod(api, period, groupNs, {
+          ...options,
+          addresses,
+          blockHash: period === periodIndex ? blockHash : undefined,
+        });
+        attempts.delete(groupNs);
+      } catch (error) {
+        const previous = attempts.get(groupNs);
+        const failed = previous?.period === period ? previous.count + 1 : 1;
+        attempts.set(groupNs, { period, count: failed });
+        if (failed < MAX_PERIOD_ATTEMPTS) throw error;
+
+        console.log(
+          `❌ Period ${period} of group ${groupNs} failed ${failed} times, reporting it as failed: ${error.message}`
+        );
+        attempts.delete(groupNs);
+        results = [
+          {
+            periodIndex: period,
+            groupNamespace: groupNs,
+            error: error.message,
+          },
+        ];
+      }
+      await onReport({ periodIndex: period, groupNamespace: groupNs, results });
+
+      state.periods[groupNs] = period;
+      onStateChange(state);
+    }
+  };
+
+  /// Helper to report every period that was calculated while the watch wasn't running
+  const catchUp = async (api) => {
+    // Rewards of a period are calculated during the next one, so the previous period is
+    // looked up too, its event may have been emitted while the watch wasn't running
+    const { index } = await getActivePeriod(api);
+    const latest = await getLatestCalculatedPeriod(api, index, options);
+
+    for (const groupNs of groups) {
+      // A first start only reports periods calculated from now on, or the latest one
+      state.periods[groupNs] ??= reportLatest
+        ? latest.periodIndex - 1
+        : latest.periodIndex;
+      if (state.periods[groupNs] < latest.periodIndex) {
+        console.log(
+          `⏩ Catching up group ${groupNs} from period ${
+            state.periods[groupNs] + 1
+          } to ${latest.periodIndex}`
+        );
+      }
+      await reportUpTo(api, groupNs, latest.periodIndex, latest.blockHash);
+    }
+    onStateChange(state);
+    return index;
+  };
+
+  const runSession = async (api) => {
+    let activePeriod = await catchUp(api);
+
+    const handleBlock = async (blockNumber, blockHash) => {
+      for (const periodIndex of await getRewardsCalculatedPeriods(
+        api,
+        blockHash
+      )) {
+        console.log(
+          `\n🔔 Rewards for period ${periodIndex} calculated in block ${blockNumber} (${blockHash})`
+        );
+        for (const groupNs of groups) {
+          await reportUpTo(api, groupNs, periodIndex, blockHash);
+        }
+      }
+    };
+
+    const handleHead = async (header) => {
+      const blockNumber = header.number.toNumber();
+      const blockHash = header.hash.toString();
+
+      const from = (state.lastBlock ?? blockNumber - 1) + 1;
+      if (blockNumber - from > MAX_BLOCK_GAP) {
+        console.log(
+          `⏩ ${
+            blockNumber - from
+          } finalized blocks skipped, catching up by period`
+        );
+        activePeriod = await catchUp(api);
+      } else {
+        // Finality can jump several blocks at once, the blocks in between are checked too
+        for (let number = from; number < blockNumber; number++) {
+          await handleBlock(
+            number,
+            (await api.rpc.chain.getBlockHash(number)).toString()
+          );
+        }
+      }
+      await handleBlock(blockNumber, blockHash);
+
+      // Anything missed before the new period started is calculated by now
+      const { index } = await getActivePeriod(api, blockHash);
+      if (index !== activePeriod) {
+        activePeriod = await catchUp(api);
+      }
+
+      state.lastBlock = blockNumber;
+      onStateChange(state);
+
+      // The watch is making progress, the next interruption starts with a short delay again
+      delay = RECONNECT_DELAY;
+    };
+
+    console.log(
+      `👀 Watching finalized blocks for RewardsCalculatedForPeriod of ${groups.join(
+        ", "
+      )}`
+    );
+
+    let unsubscribe;
+    try {
+      await new Promise((resolve, reject) => {
+        // Blocks are handled one at a time and in order, a failure ends the session
+        let queue = Promise.resolve();
+        api.rpc.chain
+          .subscribeFinalizedHeads((header) => {
+            queue = queue.then(() => handleHead(header)).catch(reject);
+          })
+          .then((unsub) => (unsubscribe = unsub), reject);
+
+        api.on?.("disconnected", () =>
+          reject(new Error("Disconnected from the node"))
+        );
+        api.on?.("error", (error) => reject(error));
+        signal?.addEventListener("abort", resolve);
+        if (signal?.aborted) resolve();
+      });
+    } finally {
+      unsubscribe?.();
+    }
+  };
+
+  while (!signal?.aborted) {
+    let api;
+    try {
+      api = await connect();
+      await api.isReady;
+      await runSession(api);
+    } catch (error) {
+      if (signal?.aborted) break;
+
+      console.log(
+        `⚠️  Watch interrupted: ${error.message}, reconnecting in ${
+          delay / 1000
+        } s`
+      );
+      await sleep(delay, signal);
+      delay = Math.min(delay * 2, MAX_RECONNECT_DELAY);
+    } finally {
+      await api?.disconnect().catch(() => {});
+    }
+  }
+}
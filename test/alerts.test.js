@@ -0,0 +1,153 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import BN from "bn.js";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  createSlackSink,
+  createWebhookSink,
+  detectAlerts,
+  openAlertState,
+  processAlerts,
+  startMockWebhook,
+} from "../src/lib.js";
+
+const ADDRESS = "5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY";
+const EWT = new BN(10).pow(new BN(18));
+
+let dir;
+
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), "report-rewards-alerts-"));
+  // Keep the alert summaries out of the test runner's output
+  console.log = () => {};
+});
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+/// Helper to build an analysis result of an address that missed the SLA
+function missedSla(groupNamespace, periodIndex = 614) {
+  return {
+    periodIndex,
+    groupNamespace,
+    address: ADDRESS,
+    stake: EWT.muln(2500),
+    eligibleRounds: 90,
+    votes: 50,
+    voteRatio: 55.56,
+    slaPercentage: "60.00%",
+    meetsSla: false,
+    periodRewards: [EWT.divn(10).muln(3), new BN(0)],
+  };
+}
+
+test("rewards far above a tiny average are alerted as a deviation", () => {
+  // 0.3 EWT against an average of 1 planck, a ratio past the safe integers
+  const alerts = detectAlerts(missedSla("smartflow.v2"), [new BN(1)]);
+
+  const deviation = alerts.find((alert) => alert.reason === "reward-deviation");
+  assert.equal(deviation.details.trailingAverage, "1");
+  assert.equal(deviation.details.deviationPercent, 3e19);
+  assert.match(deviation.message, /% above its average of/);
+});
+
+test("webhook sink posts every alert as JSON", async (t) => {
+  const webhook = await startMockWebhook();
+  t.after(() => webhook.close());
+
+  const { alerts, sent, failed } = await processAlerts(
+    [missedSla("smartflow.v2")],
+    {
+      sinks: [createWebhookSink(webhook.url)],
+      state: openAlertState(join(dir, "webhook.json")),
+    }
+  );
+
+  assert.equal(alerts.length, 1);
+  assert.deepEqual([sent, failed], [1, 0]);
+  assert.equal(webhook.payloads.length, 1);
+  assert.deepEqual(
+    {
+      period: webhook.payloads[0].period,
+      group: webhook.payloads[0].group,
+      address: webhook.payloads[0].address,
+      reason: webhook.payloads[0].reason,
+    },
+    {
+      period: 614,
+      group: "smartflow.v2",
+      address: ADDRESS,
+      reason: "sla-missed",
+    }
+  );
+  assert.equal(webhook.payloads[0].details.slaThreshold, "60.00%");
+});
+
+test("Slack sink posts every alert as a message", async (t) => {
+  const slack = await startMockWebhook();
+  t.after(() => slack.close());
+
+  await processAlerts([missedSla("smartflow.v2")], {
+    sinks: [createSlackSink(slack.url)],
+    state: openAlertState(join(dir, "slack.json")),
+  });
+
+  assert.equal(slack.payloads.length, 1);
+  assert.deepEqual(Object.keys(slack.payloads[0]), ["text"]);
+  assert.match(
+    slack.payloads[0].text,
+    /^🚨 \*SLA missed\* - period 614, group smartflow\.v2\n/
+  );
+  assert.match(slack.payloads[0].text, new RegExp(ADDRESS));
+});
+
+test("alerts are sent once per group, address and sink", async (t) => {
+  const webhook = await startMockWebhook();
+  t.after(() => webhook.close());
+  const path = join(dir, "dedupe.json");
+  const results = [missedSla("smartflow.v2"), missedSla("other.v1")];
+
+  const first = await processAlerts(results, {
+    sinks: [createWebhookSink(webhook.url)],
+    state: openAlertState(path),
+  });
+  // The same address missed the SLA in both groups, which are two alerts
+  assert.equal(first.sent, 2);
+  assert.deepEqual(
+    webhook.payloads.map(({ group }) => group),
+    ["smartflow.v2", "other.v1"]
+  );
+
+  // A later run, with the state read back from disk, sends nothing again
+  const second = await processAlerts(results, {
+    sinks: [createWebhookSink(webhook.url)],
+    state: openAlertState(path),
+  });
+  assert.equal(second.alerts.length, 2);
+  assert.equal(second.sent, 0);
+  assert.equal(webhook.payloads.length, 2);
+});
+
+test("an alert a sink rejected is sent again by the next run", async (t) => {
+  const failing = await startMockWebhook({ status: 500 });
+  const working = await startMockWebhook();
+  t.after(() => Promise.all([failing.close(), working.close()]));
+  const path = join(dir, "retry.json");
+
+  const first = await processAlerts([missedSla("smartflow.v2")], {
+    sinks: [createWebhookSink(failing.url), createSlackSink(working.url)],
+    state: openAlertState(path),
+  });
+  assert.deepEqual([first.sent, first.failed], [1, 1]);
+
+  const retry = await startMockWebhook();
+  t.after(() => retry.close());
+  const second = await processAlerts([missedSla("smartflow.v2")], {
+    sinks: [createWebhookSink(retry.url), createSlackSink(working.url)],
+    state: openAlertState(path),
+  });
+  assert.deepEqual([second.sent, second.failed], [1, 0]);
+  assert.equal(retry.payloads.length, 1);
+  assert.equal(working.payloads.length, 1);
+});
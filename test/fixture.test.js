@@ -0,0 +1,453 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { tmpdir } from "node:os";
+import { fileURLToPath } from "node:url";
+import { mkdtempSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import {
+  analyzeAddress,
+  buildVotingTimeline,
+  createMockApi,
+  findBlockForPeriod,
+  getStakeForPeriod,
+  getVotingRounds,
+  loadFixture,
+  openCache,
+  resolvePeriod,
+  resolvePeriodBlocks,
+  resolvePeriodContext,
+  serializeResult,
+} from "../src/lib.js";
+import { toCsv } from "../src/export.js";
+
+const CLI = fileURLToPath(new URL("../src/cli.js", import.meta.url));
+const FIXTURE = fileURLToPath(
+  new URL("../fixtures/period-614.json", import.meta.url)
+);
+const PRICES = fileURLToPath(
+  new URL("../fixtures/prices-usd.csv", import.meta.url)
+);
+const GROUP = "smartflow.v2";
+// Subscribers of the fixture: one comfortably above the SLA, one underpaid, one below the SLA
+const ALICE = "5D2csUmBkLadib8ZM2guw28tXs2nMMAGS4K9RK9ApRdb6F6R";
+const BOB = "5FHneW46xGXgs5mUiveU4sbTyGBzmstUspZC92UhjJM694ty";
+const CAROL = "5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY";
+
+// Block where the rewards of period 614 were calculated
+const REWARDS_BLOCK =
+  "0xcf370fbd53d9e45bb110f51906fbbe288ff248f8ad32dedb118e01bfe1093342";
+
+/// Helper to load the fixture with its finalized head moved to an earlier block
+function loadFixtureFinalizedAt(blockNumber) {
+  const fixture = loadFixture(FIXTURE);
+  fixture.finalizedHead = Object.keys(fixture.blocks).find(
+    (hash) => fixture.blocks[hash].number === blockNumber
+  );
+  return fixture;
+}
+
+/// Helper to run the CLI offline against the fixture and parse its JSON report
+function runCli(...args) {
+  return new Promise((resolve, reject) => {
+    // Run outside the repo with a bare environment, so no .env or shell variable leaks in
+    execFile(
+      process.execPath,
+      [
+        CLI,
+        ...args,
+        "--group",
+        GROUP,
+        "--fixture",
+        FIXTURE,
+        "--format",
+        "json",
+      ],
+      { cwd: tmpdir(), env: { PATH: process.env.PATH }, timeout: 60000 },
+      (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(`${error.message}\n${stderr}`));
+          return;
+        }
+        resolve(JSON.parse(stdout));
+      }
+    );
+  });
+}
+
+/// Helper to pick the result of an address
+function resultOf(report, address) {
+  return report.results.find((result) => result.address === address);
+}
+
+test("report checks the SLA of every address", async () => {
+  const report = await runCli(
+    "report",
+    "--period",
+    "614",
+    "--address",
+    `${ALICE},${BOB},${CAROL}`
+  );
+
+  assert.equal(report.results.length, 3);
+  for (const result of report.results) {
+    assert.equal(result.status, "ok", result.error);
+    assert.equal(result.slaThreshold, "60.00%");
+  }
+
+  const alice = resultOf(report, ALICE);
+  assert.equal(alice.eligibleRounds, 92);
+  assert.equal(alice.correctVotes, 80);
+  assert.equal(alice.voteRatio.toFixed(2), "86.96");
+  assert.equal(alice.meetsSla, true);
+
+  const carol = resultOf(report, CAROL);
+  assert.equal(carol.eligibleRounds, 90);
+  assert.equal(carol.correctVotes, 50);
+  assert.equal(carol.voteRatio.toFixed(2), "55.56");
+  assert.equal(carol.meetsSla, false);
+});
+
+test("report computes the period rewards and flags the underpaid address", async () => {
+  const report = await runCli(
+    "report",
+    "--period",
+    "614",
+    "--address",
+    `${ALICE},${BOB}`
+  );
+
+  const alice = resultOf(report, ALICE);
+  assert.equal(alice.rewards.period.subscription.raw, "1200000000000000000");
+  assert.equal(alice.rewards.period.voting.raw, "2750000000000000000");
+  assert.equal(alice.rewards.period.total.raw, "3950000000000000000");
+  assert.equal(alice.expectedRewards.matches, true);
+  // 3.95 EWT on a stake of 10000 EWT, in a period of 7200 blocks of 12 seconds, one day
+  assert.equal(alice.yield.rewardPerStake, 0.000395);
+  assert.equal(alice.yield.periodsPerYear, 365.25);
+  assert.equal(alice.yield.apr.toFixed(4), "14.4274");
+
+  const bob = resultOf(report, BOB);
+  assert.equal(bob.rewards.period.total.raw, "8980000000000000000");
+  assert.equal(bob.yield.rewardPerStake, 0.0003592);
+  assert.equal(bob.yield.apr.toFixed(4), "13.1198");
+  assert.equal(bob.expectedRewards.matches, false);
+  assert.equal(bob.expectedRewards.withinTolerance.subscription, true);
+  assert.equal(bob.expectedRewards.withinTolerance.voting, false);
+  // Paid less than its stake share, so the earned minus expected rewards are negative
+  assert.equal(
+    bob.expectedRewards.difference.voting.raw,
+    "-895000000000001600"
+  );
+});
+
+test("group ranks every subscriber by period reward", async () => {
+  const report = await runCli("group", "--period", "614");
+
+  assert.deepEqual(
+    report.results.map(({ rank, address, meetsSla }) => [
+      rank,
+      address,
+      meetsSla,
+    ]),
+    [
+      [1, BOB, true],
+      [2, ALICE, true],
+      [3, CAROL, false],
+    ]
+  );
+  assert.deepEqual(
+    report.results
+      .filter((result) => !result.expectedRewards.matches)
+      .map((result) => result.address),
+    [BOB]
+  );
+});
+
+test("group keeps ranking a range when one period fails", async () => {
+  const report = await runCli("group", "--period", "614-615");
+
+  assert.deepEqual(
+    report.results.map(({ period, address, status }) => [
+      period,
+      address,
+      status,
+    ]),
+    [
+      [614, BOB, "ok"],
+      [614, ALICE, "ok"],
+      [614, CAROL, "ok"],
+      [615, null, "error"],
+    ]
+  );
+  assert.match(report.results[3].error, /has not been emitted yet/);
+});
+
+test("stake-history dates a subscription back to before the range", async () => {
+  const report = await runCli(
+    "stake-history",
+    "--period",
+    "614",
+    "--address",
+    `${ALICE},${CAROL}`
+  );
+
+  assert.deepEqual(
+    report.results.map(({ address, subscriptions }) => [
+      address,
+      subscriptions,
+    ]),
+    [
+      [ALICE, [{ from: 600, to: null }]],
+      [CAROL, [{ from: 611, to: null }]],
+    ]
+  );
+});
+
+test("history reports the calculated period and fails the later ones", async () => {
+  const report = await runCli(
+    "history",
+    "--period",
+    "614-616",
+    "--address",
+    ALICE
+  );
+
+  assert.deepEqual(
+    report.results.map(({ period, status }) => [period, status]),
+    [
+      [614, "ok"],
+      [615, "error"],
+      [616, "error"],
+    ]
+  );
+  assert.deepEqual(report.results[0].periodInfo, {
+    index: 614,
+    start: 4420800,
+    end: 4427999,
+    length: 7200,
+    firstBlock: 4420800,
+  });
+  assert.match(report.results[1].error, /has not been emitted yet/);
+});
+
+test("periods from 615 on use the halved period length", async () => {
+  const api = createMockApi(loadFixture(FIXTURE));
+  assert.deepEqual(await resolvePeriod(api, 614), {
+    index: 614,
+    firstBlock: 4420800,
+    length: 7200,
+  });
+  assert.deepEqual(await resolvePeriod(api, 615), {
+    index: 615,
+    firstBlock: 4428000,
+    length: 3600,
+  });
+
+  const report = await runCli("sla-risk", "--address", ALICE);
+  assert.equal(report.results[0].period, 616);
+  assert.equal(report.results[0].periodInfo.firstBlock, 4431600);
+  assert.equal(report.results[0].periodInfo.length, 3600);
+});
+
+test("the block search stops at the finalized head", async () => {
+  const api = createMockApi(loadFixtureFinalizedAt(4428011));
+
+  await assert.rejects(
+    findBlockForPeriod(api, 614),
+    /has not been emitted yet for period 614, no event up to the finalized block 4428011/
+  );
+});
+
+test("the binary search starts the scan where the earned rewards changed", async (t) => {
+  // The calculation credits BOB in block 4428008, ALICE in 4428009 and CAROL in 4428010
+  const changes = { [BOB]: 4428008, [ALICE]: 4428009, [CAROL]: 4428010 };
+
+  for (const [address, changeBlock] of Object.entries(changes)) {
+    const debug = t.mock.method(console, "debug", () => {});
+    const api = createMockApi(loadFixtureFinalizedAt(4428012));
+
+    const blockHash = await findBlockForPeriod(api, 614, {
+      probe: { address, groupNs: GROUP },
+    });
+
+    assert.equal(blockHash, REWARDS_BLOCK);
+    const messages = debug.mock.calls.map((call) => call.arguments[0]);
+    assert.ok(
+      messages.includes(
+        `Binary search narrowed the scan start to block ${changeBlock}`
+      )
+    );
+    debug.mock.restore();
+  }
+});
+
+test("only finalized period blocks are cached", async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), "report-rewards-cache-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const unfinalized = createMockApi(loadFixtureFinalizedAt(4428011));
+  const pending = openCache(dir, "pending");
+  const blocks = await resolvePeriodBlocks(unfinalized, 614, {
+    blockHash: REWARDS_BLOCK,
+    cache: pending,
+  });
+  assert.equal(blocks.blockHash, REWARDS_BLOCK);
+  assert.equal(pending.getPeriodBlocks(614), null);
+
+  const finalized = createMockApi(loadFixture(FIXTURE));
+  const cache = openCache(dir, "finalized");
+  await resolvePeriodBlocks(finalized, 614, {
+    blockHash: REWARDS_BLOCK,
+    cache,
+  });
+  assert.equal(cache.getPeriodBlocks(614).rewardsCalculated, REWARDS_BLOCK);
+});
+
+test("amounts are labelled with the token of the chain", async () => {
+  const fixture = loadFixture(FIXTURE);
+  fixture.chain = { decimals: 18, token: "VT" };
+  const api = createMockApi(fixture);
+
+  const context = await resolvePeriodContext(api, 614, GROUP, {
+    blockHash: REWARDS_BLOCK,
+  });
+  const result = await analyzeAddress(api, context, ALICE);
+
+  assert.deepEqual(serializeResult(result).rewards.period.total, {
+    raw: "3950000000000000000",
+    amount: "3.950000",
+    symbol: "VT",
+  });
+  const header = toCsv([result], GROUP, context.token).split("\n")[0];
+  assert.match(header, /,Total Rewards VT,Reward per VT Staked,/);
+});
+
+test("rewards are valued exactly at the price of the credit day", async () => {
+  const report = await runCli(
+    "report",
+    "--period",
+    "614",
+    "--address",
+    `${ALICE},${BOB}`,
+    "--prices",
+    PRICES
+  );
+
+  assert.deepEqual(resultOf(report, ALICE).fiatValue, {
+    currency: "USD",
+    priceDate: "2025-10-10",
+    price: "1.12",
+    subscription: "1.34",
+    voting: "3.08",
+    total: "4.42",
+  });
+  assert.deepEqual(
+    report.fiatSummary.map(({ address, fiatValue }) => [
+      address,
+      fiatValue.total,
+    ]),
+    [
+      [ALICE, "4.42"],
+      [BOB, "10.06"],
+    ]
+  );
+});
+
+test("a period whose credit time can't be read fails", async () => {
+  const fixture = loadFixture(FIXTURE);
+  delete fixture.blocks[REWARDS_BLOCK].storage["timestamp.now"];
+
+  await assert.rejects(
+    resolvePeriodContext(createMockApi(fixture), 614, GROUP, {
+      blockHash: REWARDS_BLOCK,
+    }),
+    /Failed to get the rewards timestamp: Failed to read timestamp of block/
+  );
+});
+
+test("the voting timeline finds the rounds an address missed", async () => {
+  const api = createMockApi(loadFixture(FIXTURE));
+  const { rounds } = await getVotingRounds(api, 614, GROUP);
+  const { timeline, summary, gaps } = buildVotingTimeline(rounds, CAROL);
+
+  const roundsWith = (status) =>
+    timeline
+      .filter((round) => round.status === status)
+      .map(({ round }) => round);
+
+  assert.deepEqual(summary, {
+    rounds: 96,
+    eligible: 90,
+    voted: 52,
+    correct: 50,
+    wrong: 2,
+    missed: 38,
+  });
+  assert.deepEqual(roundsWith("wrong"), [4, 13]);
+  assert.deepEqual(roundsWith("not-eligible"), [11, 31, 51, 71, 86, 91]);
+  // CAROL was down from round 39 to 78, the nominated rounds in between don't end the gap
+  assert.deepEqual(
+    roundsWith("missed"),
+    Array.from({ length: 40 }, (_, i) => 39 + i).filter(
+      (round) => round !== 51 && round !== 71
+    )
+  );
+  assert.deepEqual(gaps, [
+    {
+      fromRound: 39,
+      toRound: 78,
+      fromBlock: 4423650,
+      toBlock: 4426575,
+      rounds: 38,
+    },
+  ]);
+});
+
+test("a stake updated long before the period is found in the older records", async () => {
+  const fixture = loadFixture(FIXTURE);
+  const periodStart = Object.values(fixture.blocks).find(
+    (block) => block.number === 614 * 7200
+  );
+  // DAVE staked in period 600 and scheduled a change for period 616. The record has held only
+  // the scheduled change since period 603, the update of period 600 was pruned from it
+  const DAVE = "5DAAnrj7VHTznn2AWBemMuyBwZWs6FNFjdyVXUeYum3PTXFy";
+  const scheduled = { 616: "5,000,000,000,000,000,000,000" };
+  periodStart.storage.solutionGroupStakeRecords.push([
+    [GROUP, DAVE],
+    scheduled,
+  ]);
+
+  /// Helper to add a block of period 602-613, with the period active at it and DAVE's record
+  const addBlock = (number) => {
+    const index = Math.floor(number / 7200);
+    fixture.blocks[`0x${number.toString(16).padStart(64, "0")}`] = {
+      number,
+      storage: {
+        activeRewardPeriodInfo: [
+          [[], { index, firstBlock: index * 7200, length: 7200 }],
+        ],
+        solutionGroupStakeRecords: [
+          [
+            [GROUP, DAVE],
+            index >= 603 ? scheduled : { 600: "3,000,000,000,000,000,000,000" },
+          ],
+        ],
+      },
+    };
+  };
+  for (let period = 602; period <= 613; period++) {
+    addBlock(period * 7200);
+    // Where the period search first looks, at the halved length of the latest periods
+    addBlock(4431600 - (616 - period) * 3600);
+  }
+
+  const applied = await getStakeForPeriod(
+    createMockApi(fixture),
+    614,
+    GROUP,
+    DAVE
+  );
+  assert.equal(applied.updatePeriod, 600);
+  assert.equal(applied.stake.toString(), "3000000000000000000000");
+});
@@ -0,0 +1,81 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import {
+  createMockApi,
+  formatMetrics,
+  loadFixture,
+  reportPeriod,
+} from "../src/lib.js";
+
+const FIXTURE = fileURLToPath(
+  new URL("../fixtures/period-614.json", import.meta.url)
+);
+const GROUP = "smartflow.v2";
+const ALICE = "5D2csUmBkLadib8ZM2guw28tXs2nMMAGS4K9RK9ApRdb6F6R";
+const CAROL = "5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY";
+// Address without a stake record in the fixture, its analysis fails
+const UNKNOWN = "5DAAnrj7VHTznn2AWBemMuyBwZWs6FNFjdyVXUeYum3PTXFy";
+
+before(() => {
+  // The analysis logs its progress, which would interleave with the test runner's output
+  console.log = () => {};
+  console.debug = () => {};
+});
+
+test("formats the results of a period in the Prometheus text format", async () => {
+  const api = createMockApi(loadFixture(FIXTURE));
+  const results = await reportPeriod(api, 614, GROUP, {
+    addresses: [ALICE, CAROL, UNKNOWN],
+  });
+
+  const alice = `group="${GROUP}",address="${ALICE}"`;
+  const carol = `group="${GROUP}",address="${CAROL}"`;
+  assert.equal(
+    formatMetrics([{ periodIndex: 614, groupNamespace: GROUP, results }]),
+    [
+      "# HELP ewx_rewards_period Last completed reward period of the group the other metrics belong to",
+      "# TYPE ewx_rewards_period gauge",
+      `ewx_rewards_period{group="${GROUP}"} 614`,
+      "# HELP ewx_rewards_failed_addresses Addresses of the group whose analysis failed for the period",
+      "# TYPE ewx_rewards_failed_addresses gauge",
+      `ewx_rewards_failed_addresses{group="${GROUP}"} 1`,
+      "# HELP ewx_operator_vote_ratio_percent Correct votes per eligible voting round",
+      "# TYPE ewx_operator_vote_ratio_percent gauge",
+      `ewx_operator_vote_ratio_percent{${alice}} 86.95652173913044`,
+      `ewx_operator_vote_ratio_percent{${carol}} 55.55555555555556`,
+      "# HELP ewx_operator_eligible_rounds Voting rounds the operator was eligible for",
+      "# TYPE ewx_operator_eligible_rounds gauge",
+      `ewx_operator_eligible_rounds{${alice}} 92`,
+      `ewx_operator_eligible_rounds{${carol}} 90`,
+      "# HELP ewx_operator_correct_votes Correct votes of the operator",
+      "# TYPE ewx_operator_correct_votes gauge",
+      `ewx_operator_correct_votes{${alice}} 80`,
+      `ewx_operator_correct_votes{${carol}} 50`,
+      "# HELP ewx_operator_sla_threshold_percent SLA voting threshold of the group",
+      "# TYPE ewx_operator_sla_threshold_percent gauge",
+      `ewx_operator_sla_threshold_percent{${alice}} 60`,
+      `ewx_operator_sla_threshold_percent{${carol}} 60`,
+      "# HELP ewx_operator_meets_sla 1 when the vote ratio met the SLA threshold, 0 otherwise",
+      "# TYPE ewx_operator_meets_sla gauge",
+      `ewx_operator_meets_sla{${alice}} 1`,
+      `ewx_operator_meets_sla{${carol}} 0`,
+      "# HELP ewx_operator_subscription_reward_tokens Subscription rewards earned in the period, in whole tokens",
+      "# TYPE ewx_operator_subscription_reward_tokens gauge",
+      `ewx_operator_subscription_reward_tokens{${alice},token="EWT"} 1.2`,
+      `ewx_operator_subscription_reward_tokens{${carol},token="EWT"} 0.3`,
+      "# HELP ewx_operator_voting_reward_tokens Voting rewards earned in the period, in whole tokens",
+      "# TYPE ewx_operator_voting_reward_tokens gauge",
+      `ewx_operator_voting_reward_tokens{${alice},token="EWT"} 2.75`,
+      `ewx_operator_voting_reward_tokens{${carol},token="EWT"} 0`,
+      "",
+    ].join("\n")
+  );
+});
+
+test("escapes label values", () => {
+  const text = formatMetrics([
+    { periodIndex: 614, groupNamespace: 'a"b\\c\nd', results: [] },
+  ]);
+  assert.match(text, /^ewx_rewards_period\{group="a\\"b\\\\c\\nd"\} 614$/m);
+});
@@ -0,0 +1,79 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import { createMockApi, loadFixture, startRewardsServer } from "../src/lib.js";
+
+const FIXTURE = fileURLToPath(
+  new URL("../fixtures/period-614.json", import.meta.url)
+);
+const ALICE = "5D2csUmBkLadib8ZM2guw28tXs2nMMAGS4K9RK9ApRdb6F6R";
+// Block where the rewards of period 614 were calculated
+const REWARDS_BLOCK =
+  "0xcf370fbd53d9e45bb110f51906fbbe288ff248f8ad32dedb118e01bfe1093342";
+
+let server;
+
+before(async () => {
+  // The analysis logs its progress, which would interleave with the test runner's output
+  console.log = () => {};
+  console.debug = () => {};
+
+  // The chain answers an empty Option for a namespace without a group
+  const fixture = loadFixture(FIXTURE);
+  fixture.blocks[REWARDS_BLOCK].storage.solutionsGroups.push([
+    ["unknown.v1"],
+    null,
+  ]);
+  server = await startRewardsServer(createMockApi(fixture), { port: 0 });
+});
+
+after(() => server.close());
+
+/// Helper to request a path of the server, returns the status and the JSON body
+async function get(path, method = "GET") {
+  const response = await fetch(server.url + path, { method });
+  return { status: response.status, body: await response.json() };
+}
+
+test("answers the report of an address", async () => {
+  const { status, body } = await get(
+    `/periods/614/groups/smartflow.v2/addresses/${ALICE}`
+  );
+  assert.equal(status, 200);
+  assert.equal(body.status, "ok");
+  assert.equal(body.meetsSla, true);
+  assert.equal(body.rewards.period.total.raw, "3950000000000000000");
+});
+
+test("answers 404 for an unknown group", async () => {
+  for (const path of [
+    `/periods/614/groups/unknown.v1/addresses/${ALICE}`,
+    "/groups/unknown.v1/leaderboard?period=614",
+  ]) {
+    const { status, body } = await get(path);
+    assert.equal(status, 404, path);
+    assert.match(body.error, /Solution group unknown\.v1 does not exist/);
+  }
+});
+
+test("answers 404 for a period whose rewards aren't calculated", async () => {
+  const { status, body } = await get("/periods/615/blocks");
+  assert.equal(status, 404);
+  assert.match(body.error, /has not been emitted yet/);
+});
+
+test("answers 400 for a malformed request", async () => {
+  const malformed = await get(
+    `/periods/614/groups/%E0%A4%A/addresses/${ALICE}`
+  );
+  assert.equal(malformed.status, 400);
+  assert.match(malformed.body.error, /Malformed path segment/);
+
+  const period = await get("/groups/smartflow.v2/leaderboard?period=abc");
+  assert.equal(period.status, 400);
+});
+
+test("answers 405 for other methods than GET", async () => {
+  const { status } = await get("/periods/614/blocks", "POST");
+  assert.equal(status, 405);
+});
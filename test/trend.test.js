@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import BN from "bn.js";
+import { toHtml } from "../src/trend.js";
+
+const GROUP = "smartflow.v2";
+const ALICE = "5D2csUmBkLadib8ZM2guw28tXs2nMMAGS4K9RK9ApRdb6F6R";
+const EWT = new BN(10).pow(new BN(18));
+
+/// Helper to build the analysis result of a period, rewards in whole EWT
+function periodResult(periodIndex, voteRatio, subscription, voting) {
+  return {
+    periodIndex,
+    groupNamespace: GROUP,
+    address: ALICE,
+    voteRatio,
+    slaPercentage: "60.00%",
+    meetsSla: voteRatio >= 60,
+    periodRewards: [EWT.muln(subscription), EWT.muln(voting)],
+  };
+}
+
+/// Helper to read the cells of the period rows of the trend table
+function periodRows(html) {
+  return [
+    ...html.matchAll(/<tr(?: class="\w+")?><td>(\d+)<\/td>(.*?)<\/tr>/g),
+  ].map(([, period, cells]) => [
+    Number(period),
+    ...[...cells.matchAll(/<td[^>]*>(.*?)<\/td>/g)].map(([, cell]) => cell),
+  ]);
+}
+
+test("renders the streaks and the period-over-period changes", () => {
+  const html = toHtml(
+    [
+      periodResult(600, 80, 1, 3),
+      periodResult(601, 50, 1, 1),
+      periodResult(602, 40, 1, 0),
+      {
+        periodIndex: 603,
+        groupNamespace: GROUP,
+        address: ALICE,
+        error: "boom",
+      },
+      periodResult(604, 55, 1, 1),
+      periodResult(605, 90, 2, 4),
+    ],
+    GROUP
+  );
+
+  // The failed period 603 ends the first streak
+  assert.match(
+    html,
+    /<ul><li>Periods 601–602: 2 consecutive misses<\/li><li>Period 604: 1 consecutive miss<\/li><\/ul>/
+  );
+  assert.match(html, /<th>Longest SLA Miss Streak<\/th><td>2 periods<\/td>/);
+  assert.match(html, /<th>Met SLA<\/th><td>2\/5<\/td>/);
+
+  // Vote ratio change in percentage points and total rewards change in percent,
+  // both taken from the previous period that was analyzed
+  assert.deepEqual(
+    periodRows(html).map(
+      ([period, ratio, ratioChange, , , , , , rewardChange]) => [
+        period,
+        ratio,
+        ratioChange,
+        rewardChange,
+      ]
+    ),
+    [
+      [600, "80.00%", "–", "–"],
+      [601, "50.00%", "-30.00 pp", "-50.00%"],
+      [602, "40.00%", "-10.00 pp", "-50.00%"],
+      [603, "❌ boom", undefined, undefined],
+      [604, "55.00%", "+15.00 pp", "+100.00%"],
+      [605, "90.00%", "+35.00 pp", "+200.00%"],
+    ]
+  );
+});
+
+test("renders a page without results", () => {
+  const html = toHtml([], GROUP);
+
+  assert.match(
+    html,
+    /<title>Reward trend of smartflow\.v2, periods none<\/title>/
+  );
+  assert.match(html, /<p>No periods were analyzed\.<\/p>/);
+  assert.doesNotMatch(html, /Infinity|NaN|<section>/);
+});
@@ -0,0 +1,126 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import { createMockApi, loadFixture, watchRewards } from "../src/lib.js";
+
+const FIXTURE = fileURLToPath(
+  new URL("../fixtures/period-614.json", import.meta.url)
+);
+const GROUP = "smartflow.v2";
+const ALICE = "5D2csUmBkLadib8ZM2guw28tXs2nMMAGS4K9RK9ApRdb6F6R";
+// Blocks of period 615 after the rewards of period 614 were calculated in block 4428012
+const AFTER_REWARDS_BLOCK = 4429800;
+const REWARDS_BLOCK =
+  "0xcf370fbd53d9e45bb110f51906fbbe288ff248f8ad32dedb118e01bfe1093342";
+
+before(() => {
+  // The analysis logs its progress, which would interleave with the test runner's output
+  console.log = () => {};
+  console.debug = () => {};
+});
+
+/// Helper to load the fixture with its head, and finalized head, at a block
+function loadFixtureAt(blockNumber) {
+  const fixture = loadFixture(FIXTURE);
+  fixture.head = Object.keys(fixture.blocks).find(
+    (hash) => fixture.blocks[hash].number === blockNumber
+  );
+  return fixture;
+}
+
+test("a restart reports the period calculated while the watch was down", async () => {
+  const fixture = loadFixtureAt(AFTER_REWARDS_BLOCK);
+  const controller = new AbortController();
+  const reports = [];
+
+  // The watch stopped in period 615 before the RewardsCalculatedForPeriod event of 614
+  const state = { lastBlock: 4428000, periods: { [GROUP]: 613 } };
+  await watchRewards(async () => createMockApi(fixture), {
+    groups: [GROUP],
+    addresses: [ALICE],
+    state,
+    onReport: (report) => reports.push(report),
+    // The first finalized head after the restart ends the test
+    onStateChange: () => {
+      if (state.lastBlock === AFTER_REWARDS_BLOCK) controller.abort();
+    },
+    signal: controller.signal,
+  });
+
+  assert.deepEqual(
+    reports.map(({ periodIndex, results }) => [
+      periodIndex,
+      results.map((result) => result.error ?? result.meetsSla),
+    ]),
+    [[614, [true]]]
+  );
+  assert.deepEqual(state, {
+    lastBlock: AFTER_REWARDS_BLOCK,
+    periods: { [GROUP]: 614 },
+  });
+});
+
+test("a first start doesn't report the periods calculated before it", async () => {
+  const fixture = loadFixtureAt(AFTER_REWARDS_BLOCK);
+  const controller = new AbortController();
+  const reports = [];
+
+  const state = {};
+  await watchRewards(async () => createMockApi(fixture), {
+    groups: [GROUP],
+    addresses: [ALICE],
+    state,
+    onReport: (report) => reports.push(report),
+    onStateChange: () => {
+      if (state.lastBlock === AFTER_REWARDS_BLOCK) controller.abort();
+    },
+    signal: controller.signal,
+  });
+
+  assert.deepEqual(reports, []);
+  assert.deepEqual(state.periods, { [GROUP]: 614 });
+});
+
+test("a period that keeps failing is reported as failed after 5 attempts", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  // The chain answers an empty Option for a namespace without a group
+  const fixture = loadFixtureAt(AFTER_REWARDS_BLOCK);
+  fixture.blocks[REWARDS_BLOCK].storage.solutionsGroups.push([
+    ["unknown.v1"],
+    null,
+  ]);
+  const controller = new AbortController();
+  const reports = [];
+  let connections = 0;
+
+  const watching = watchRewards(
+    async () => {
+      connections++;
+      return createMockApi(fixture);
+    },
+    {
+      groups: ["unknown.v1"],
+      state: { periods: { "unknown.v1": 613 } },
+      onReport: (report) => {
+        reports.push(report);
+        controller.abort();
+      },
+      signal: controller.signal,
+    }
+  );
+
+  // Every reconnect waits for its delay, which the mocked clock skips
+  while (!controller.signal.aborted) {
+    await new Promise((resolve) => setImmediate(resolve));
+    t.mock.timers.tick(5 * 60 * 1000);
+  }
+  await watching;
+
+  assert.equal(connections, 5);
+  assert.equal(reports.length, 1);
+  assert.equal(reports[0].periodIndex, 614);
+  assert.match(
+    reports[0].results[0].error,
+    /Solution group unknown\.v1 does not exist/
+  );
+});